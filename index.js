@@ -1,10 +1,19 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const os = require('os');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const { createClient } = require('@supabase/supabase-js');
+const ExcelJS = require('exceljs');
+const { ThermalPrinter, PrinterTypes, CharacterSet } = require('node-thermal-printer');
 
 const app = express();
 const port = process.env.PORT || 3001;
+const CAFE_TIMEZONE = process.env.CAFE_TIMEZONE || 'Asia/Kolkata';
+const CUSTOMER_APP_URL = process.env.CUSTOMER_APP_URL || 'http://localhost:3000';
 
 // CORS configuration
 app.use(cors({
@@ -21,8 +30,9 @@ app.use(cors({
       callback(new Error(`CORS policy: Origin ${origin} not allowed`));
     }
   },
-  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Waiter-Auth'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'If-Match'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -47,15 +57,718 @@ const supabase = createClient(
   { auth: { autoRefreshToken: false, persistSession: false } }
 );
 
-// Request logging middleware
+// Request logging middleware (PINs and tokens are redacted)
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.url} - Body:`, req.body, 'Query:', req.query, 'Headers:', req.headers);
+  const url = req.url.replace(/access_token=[^&]*/, 'access_token=[redacted]');
+  const body = req.body && req.body.pin ? { ...req.body, pin: '[redacted]' } : req.body;
+  const query = req.query.access_token ? { ...req.query, access_token: '[redacted]' } : req.query;
+  const headers = req.headers.authorization ? { ...req.headers, authorization: '[redacted]' } : req.headers;
+  console.log(`${req.method} ${url} - Body:`, body, 'Query:', query, 'Headers:', headers);
   next();
 });
 
+// Staff authentication
+const STAFF_ROLES = ['waiter', 'cashier', 'kitchen', 'admin'];
+const STAFF_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+const STAFF_FIELDS = 'id, name, username, role, outlet_id, is_active, created_at';
+
+const authSecret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET is not set - using a random secret, staff tokens will not survive a restart');
+}
+
+// Sign a payload as `<base64url json>.<base64url hmac>` with an expiry
+function signToken(payload, ttlSeconds) {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', authSecret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Returns the token payload, or null if the token is malformed, tampered with or expired
+// (with `ignoreExpiry` the caller checks payload.exp itself)
+function verifyToken(token, { ignoreExpiry = false } = {}) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', authSecret).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || (!ignoreExpiry && payload.exp < Math.floor(Date.now() / 1000))) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin), salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPin(pin, pinHash) {
+  const [salt, hash] = String(pinHash || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(pin), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function isValidPin(pin) {
+  return typeof pin === 'string' && /^\S{4,64}$/.test(pin);
+}
+
+// Attach the staff member behind a Bearer token to req.staff (null for customers). The staff row
+// is read on every request, so deactivating someone (or changing their role or outlet) takes
+// effect at once rather than when their token expires.
+// The event stream also accepts ?access_token= because EventSource cannot send headers.
+app.use(async (req, res, next) => {
+  req.staff = null;
+  const header = req.headers.authorization;
+  const queryToken = req.path === '/api/events' ? req.query.access_token : undefined;
+  if (!header && !queryToken) return next();
+
+  const [scheme, token] = header ? header.split(' ') : ['Bearer', queryToken];
+  const payload = scheme === 'Bearer' ? verifyToken(token) : null;
+  if (!payload || payload.typ !== 'staff') {
+    console.log(`${req.method} ${req.path} - Invalid or expired staff token`);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const { data: staff, error } = await supabase
+      .from('staff')
+      .select('id, name, role, outlet_id, is_active')
+      .eq('id', payload.sub)
+      .maybeSingle();
+    if (error) throw error;
+    if (!staff || !staff.is_active) {
+      console.log(`${req.method} ${req.path} - Staff member ${payload.sub} is inactive or removed`);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.staff = { id: staff.id, name: staff.name, role: staff.role, outlet_id: staff.outlet_id ?? null };
+    next();
+  } catch (error) {
+    console.error(`${req.method} ${req.path} - Error:`, error);
+    res.status(500).json({ error: `Failed to check staff token: ${error.message}` });
+  }
+});
+
+// Outlet scope of a staff request (req.outletId). Staff attached to an outlet only ever work in
+// it; owners (admins without an outlet) see every outlet and narrow to one with an outlet_id in
+// the query or body. Customer requests find their outlet through their table instead.
+app.use((req, res, next) => {
+  req.outletId = null;
+  if (!req.staff) return next();
+
+  const requested = req.query.outlet_id ?? req.body?.outlet_id;
+  let outletId = null;
+  if (requested !== undefined && requested !== null && requested !== '') {
+    outletId = parseInt(requested);
+    if (!(outletId > 0)) {
+      console.log(`${req.method} ${req.path} - Invalid outlet_id`);
+      return res.status(400).json({ error: 'outlet_id must be a valid outlet id' });
+    }
+  }
+  if (req.staff.outlet_id && outletId && outletId !== req.staff.outlet_id) {
+    console.log(`${req.method} ${req.path} - Outlet ${outletId} is not the staff member's outlet`);
+    return res.status(403).json({ error: 'You can only work with your own outlet' });
+  }
+
+  req.outletId = req.staff.outlet_id || outletId;
+  next();
+});
+
+// Only let staff with one of the given roles through
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.staff) {
+      console.log(`${req.method} ${req.url} - Authentication required`);
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!roles.includes(req.staff.role)) {
+      console.log(`${req.method} ${req.url} - Role ${req.staff.role} not allowed`);
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+// Only let owners (admins not attached to an outlet) through; use after requireRole('admin')
+function requireOwner(req, res, next) {
+  if (req.staff.outlet_id) {
+    console.log(`${req.method} ${req.url} - Owner access required`);
+    return res.status(403).json({ error: 'Only the owner can perform this action' });
+  }
+  next();
+}
+
+// Only let requests scoped to one outlet through (owners must pick one with outlet_id)
+function requireOutlet(req, res, next) {
+  if (!req.outletId) {
+    console.log(`${req.method} ${req.url} - No outlet selected`);
+    return res.status(400).json({ error: 'outlet_id is required' });
+  }
+  next();
+}
+
+// Staff working at one outlet can't reach another outlet's orders, tables, sessions, service
+// requests or shifts by id; they get a 404 as if the row did not exist
+const OUTLET_SCOPED_PATHS = [
+  { path: '/api/orders/:id', table: 'orders' },
+  { path: '/api/admin/orders/:id/audit', table: 'orders' },
+  { path: '/api/tables/:id', table: 'tables' },
+  { path: '/api/sessions/:id', table: 'table_sessions', viaTable: true },
+  { path: '/api/service-requests/:id', table: 'service_requests', viaTable: true },
+  { path: '/api/shifts/:id/report', table: 'shifts' }
+];
+
+for (const { path, table, viaTable } of OUTLET_SCOPED_PATHS) {
+  app.use(path, async (req, res, next) => {
+    if (!req.outletId) return next();
+    try {
+      const { data, error } = await supabase
+        .from(table)
+        .select(viaTable ? 'tables(outlet_id)' : 'outlet_id')
+        .eq('id', req.params.id)
+        .maybeSingle();
+      // Missing rows and malformed ids are left to the route
+      if (error || !data) return next();
+      if ((viaTable ? data.tables?.outlet_id : data.outlet_id) !== req.outletId) {
+        console.log(`${req.method} ${req.originalUrl} - Belongs to another outlet`);
+        return res.status(404).json({ error: 'Not found' });
+      }
+      next();
+    } catch (error) {
+      console.error(`${req.method} ${req.originalUrl} - Error:`, error);
+      res.status(500).json({ error: `Failed to check outlet: ${error.message}` });
+    }
+  });
+}
+
+// Failed PIN attempts per username, shared by logins and manager approvals
+const loginFailures = new Map();
+
+function isLockedOut(key) {
+  const failures = loginFailures.get(key);
+  return Boolean(failures && failures.count >= MAX_LOGIN_ATTEMPTS && Date.now() - failures.last < LOGIN_LOCKOUT_MS);
+}
+
+function recordLoginFailure(key) {
+  const failures = loginFailures.get(key);
+  const count = failures && Date.now() - failures.last < LOGIN_LOCKOUT_MS ? failures.count + 1 : 1;
+  loginFailures.set(key, { count, last: Date.now() });
+}
+
+// Staff login
+app.post('/api/auth/login', async (req, res) => {
+  const { username, pin } = req.body;
+  if (!username || !pin) {
+    console.log('POST /api/auth/login - Missing credentials');
+    return res.status(400).json({ error: 'Username and PIN are required' });
+  }
+
+  const key = String(username).toLowerCase();
+  if (isLockedOut(key)) {
+    console.log('POST /api/auth/login - Too many failed attempts for', key);
+    return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+  }
+
+  try {
+    const { data: staff, error } = await supabase
+      .from('staff')
+      .select('id, name, username, role, outlet_id, pin_hash, is_active')
+      .eq('username', key)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!staff || !staff.is_active || !verifyPin(pin, staff.pin_hash)) {
+      recordLoginFailure(key);
+      console.log('POST /api/auth/login - Invalid credentials for', key);
+      return res.status(401).json({ error: 'Invalid username or PIN' });
+    }
+    loginFailures.delete(key);
+
+    const token = signToken(
+      { typ: 'staff', sub: staff.id, name: staff.name, role: staff.role, outlet_id: staff.outlet_id },
+      STAFF_TOKEN_TTL_SECONDS
+    );
+    res.json({
+      token,
+      expiresIn: STAFF_TOKEN_TTL_SECONDS,
+      staff: { id: staff.id, name: staff.name, username: staff.username, role: staff.role, outlet_id: staff.outlet_id }
+    });
+  } catch (error) {
+    console.error('POST /api/auth/login - Error:', error);
+    res.status(500).json({ error: `Failed to log in: ${error.message}` });
+  }
+});
+
+// Current staff member
+app.get('/api/auth/me', requireRole(...STAFF_ROLES), (req, res) => {
+  res.json(req.staff);
+});
+
+// Create the first admin account (only allowed while the staff table is empty)
+app.post('/api/auth/setup', async (req, res) => {
+  const { name, username, pin } = req.body;
+  if (!name || !username || !isValidPin(pin)) {
+    console.log('POST /api/auth/setup - Invalid input');
+    return res.status(400).json({ error: 'Name, username and a PIN of at least 4 characters are required' });
+  }
+
+  try {
+    const { count, error: countError } = await supabase
+      .from('staff')
+      .select('id', { count: 'exact', head: true });
+    if (countError) throw countError;
+    if (count > 0) {
+      console.log('POST /api/auth/setup - Staff already configured');
+      return res.status(403).json({ error: 'Setup has already been completed' });
+    }
+
+    const { data, error } = await supabase
+      .from('staff')
+      .insert([{ name, username: String(username).toLowerCase(), role: 'admin', pin_hash: hashPin(pin) }])
+      .select(STAFF_FIELDS)
+      .single();
+    if (error) throw error;
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/auth/setup - Error:', error);
+    res.status(500).json({ error: `Failed to complete setup: ${error.message}` });
+  }
+});
+
+// List staff (admin). An outlet's admin only sees that outlet's staff.
+app.get('/api/admin/staff', requireRole('admin'), async (req, res) => {
+  try {
+    let query = supabase
+      .from('staff')
+      .select(STAFF_FIELDS)
+      .order('name');
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/staff - Error:', error);
+    res.status(500).json({ error: `Failed to fetch staff: ${error.message}` });
+  }
+});
+
+// Create staff member (admin). Staff belong to the selected outlet; an admin created without
+// one is an owner.
+app.post('/api/admin/staff', requireRole('admin'), async (req, res) => {
+  const { name, username, role, pin } = req.body;
+  if (!name || !username || !STAFF_ROLES.includes(role) || !isValidPin(pin)) {
+    console.log('POST /api/admin/staff - Invalid input');
+    return res.status(400).json({ error: `Name, username, role (${STAFF_ROLES.join(', ')}) and a PIN of at least 4 characters are required` });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('staff')
+      .insert([{ name, username: String(username).toLowerCase(), role, outlet_id: req.outletId, pin_hash: hashPin(pin) }])
+      .select(STAFF_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/staff - Username taken');
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+      if (error.code === '23514') {
+        console.log('POST /api/admin/staff - Non-admin without an outlet');
+        return res.status(400).json({ error: 'outlet_id is required for staff other than owners' });
+      }
+      if (error.code === '23503') {
+        console.log('POST /api/admin/staff - Unknown outlet');
+        return res.status(400).json({ error: 'Outlet not found' });
+      }
+      throw error;
+    }
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/staff - Error:', error);
+    res.status(500).json({ error: `Failed to create staff member: ${error.message}` });
+  }
+});
+
+// Update staff member: name, role, active flag, PIN reset (admin) or outlet (owner)
+app.patch('/api/admin/staff/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { name, role, is_active, pin, outlet_id } = req.body;
+
+  if (role !== undefined && !STAFF_ROLES.includes(role)) {
+    console.log('PATCH /api/admin/staff/:id - Invalid role');
+    return res.status(400).json({ error: `Role must be one of ${STAFF_ROLES.join(', ')}` });
+  }
+  if (pin !== undefined && !isValidPin(pin)) {
+    console.log('PATCH /api/admin/staff/:id - Invalid PIN');
+    return res.status(400).json({ error: 'PIN must be at least 4 characters' });
+  }
+  if (outlet_id !== undefined && req.staff.outlet_id) {
+    console.log('PATCH /api/admin/staff/:id - Only owners move staff');
+    return res.status(403).json({ error: 'Only the owner can move staff between outlets' });
+  }
+
+  const updates = {};
+  if (name !== undefined) updates.name = name;
+  if (role !== undefined) updates.role = role;
+  if (is_active !== undefined) updates.is_active = Boolean(is_active);
+  if (pin !== undefined) updates.pin_hash = hashPin(pin);
+  if (outlet_id !== undefined) updates.outlet_id = outlet_id === null ? null : parseInt(outlet_id);
+  if (!Object.keys(updates).length) {
+    console.log('PATCH /api/admin/staff/:id - Nothing to update');
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    let query = supabase
+      .from('staff')
+      .update(updates)
+      .eq('id', id);
+    if (req.staff.outlet_id) query = query.eq('outlet_id', req.staff.outlet_id);
+
+    const { data, error } = await query.select(STAFF_FIELDS).maybeSingle();
+    if (error) {
+      if (error.code === '23514') {
+        console.log('PATCH /api/admin/staff/:id - Non-admin without an outlet');
+        return res.status(400).json({ error: 'Only admins can work without an outlet' });
+      }
+      if (error.code === '23503') {
+        console.log('PATCH /api/admin/staff/:id - Unknown outlet');
+        return res.status(400).json({ error: 'Outlet not found' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/staff/:id - Staff member not found');
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/staff/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update staff member: ${error.message}` });
+  }
+});
+
+// Outlets: each café location with its own settings row (geofence, hours, tax, invoice series),
+// tables, staff, printers, cash drawer and menu overrides. Owners manage them.
+const OUTLET_FIELDS = 'id, name, is_active, created_at';
+
+// The outlet a customer request is for: that of their table (table_id, or the table named by a
+// table_token), else an explicit outlet_id, else the only active outlet.
+// Returns { data: outletId } or { status, error } for the error response.
+async function resolveCustomerOutlet({ table_id, table_token, outlet_id } = {}) {
+  const tableId = table_id || verifyToken(table_token, { ignoreExpiry: true })?.tid;
+  if (tableId) {
+    const { data: table, error } = await supabase
+      .from('tables')
+      .select('outlet_id')
+      .eq('id', tableId)
+      .maybeSingle();
+    if (error || !table) return { status: 400, error: 'Invalid table ID' };
+    return { data: table.outlet_id };
+  }
+
+  if (outlet_id !== undefined && !(parseInt(outlet_id) > 0)) {
+    return { status: 400, error: 'outlet_id must be a valid outlet id' };
+  }
+  let query = supabase.from('outlets').select('id').eq('is_active', true);
+  if (outlet_id !== undefined) query = query.eq('id', parseInt(outlet_id));
+  const { data: outlets, error } = await query.limit(2);
+  if (error) throw error;
+  if (outlet_id !== undefined && !outlets.length) return { status: 404, error: 'Outlet not found' };
+  if (outlets.length !== 1) return { status: 400, error: 'outlet_id or table_id is required' };
+  return { data: outlets[0].id };
+}
+
+// List outlets (admin). An outlet's admin only sees their own.
+app.get('/api/admin/outlets', requireRole('admin'), async (req, res) => {
+  try {
+    let query = supabase.from('outlets').select(OUTLET_FIELDS).order('name');
+    if (req.staff.outlet_id) query = query.eq('id', req.staff.outlet_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/outlets - Error:', error);
+    res.status(500).json({ error: `Failed to fetch outlets: ${error.message}` });
+  }
+});
+
+// Open an outlet with its geofence and invoice prefix (owner). The rest of its settings start
+// from the defaults and are changed through /api/admin/settings?outlet_id=.
+app.post('/api/admin/outlets', requireRole('admin'), requireOwner, async (req, res) => {
+  const { name, invoice_prefix } = req.body;
+  const latitude = parseFloat(req.body.latitude);
+  const longitude = parseFloat(req.body.longitude);
+  const radius = parseFloat(req.body.geofence_radius_meters);
+  if (typeof name !== 'string' || !name.trim()) {
+    console.log('POST /api/admin/outlets - Missing name');
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !(radius > 0)) {
+    console.log('POST /api/admin/outlets - Invalid geofence');
+    return res.status(400).json({ error: 'latitude, longitude and a positive geofence_radius_meters are required' });
+  }
+  if (invoice_prefix !== undefined && !/^[A-Za-z0-9]{1,6}$/.test(invoice_prefix)) {
+    console.log('POST /api/admin/outlets - Invalid invoice prefix');
+    return res.status(400).json({ error: 'invoice_prefix must be 1-6 letters or digits' });
+  }
+
+  try {
+    const { data: outlet, error } = await supabase
+      .from('outlets')
+      .insert([{ name: name.trim() }])
+      .select(OUTLET_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/outlets - Name taken');
+        return res.status(409).json({ error: 'An outlet with this name already exists' });
+      }
+      throw error;
+    }
+
+    const { error: settingsError } = await supabase
+      .from('cafe_settings')
+      .insert([{
+        outlet_id: outlet.id,
+        latitude,
+        longitude,
+        geofence_radius_meters: radius,
+        invoice_prefix: invoice_prefix || `INV${outlet.id}`
+      }]);
+    if (settingsError) {
+      await supabase.from('outlets').delete().eq('id', outlet.id);
+      if (settingsError.code === '23505') {
+        console.log('POST /api/admin/outlets - Invoice prefix taken');
+        return res.status(409).json({ error: 'Another outlet already uses this invoice prefix' });
+      }
+      throw settingsError;
+    }
+    res.status(201).json(outlet);
+  } catch (error) {
+    console.error('POST /api/admin/outlets - Error:', error);
+    res.status(500).json({ error: `Failed to create outlet: ${error.message}` });
+  }
+});
+
+// Rename an outlet or close it to customers (owner)
+app.patch('/api/admin/outlets/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { name, is_active } = req.body;
+  const updates = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      console.log('PATCH /api/admin/outlets/:id - Invalid name');
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+    updates.name = name.trim();
+  }
+  if (is_active !== undefined) updates.is_active = Boolean(is_active);
+  if (!Object.keys(updates).length) {
+    console.log('PATCH /api/admin/outlets/:id - Nothing to update');
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('outlets')
+      .update(updates)
+      .eq('id', id)
+      .select(OUTLET_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/outlets/:id - Name taken');
+        return res.status(409).json({ error: 'An outlet with this name already exists' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/outlets/:id - Outlet not found');
+      return res.status(404).json({ error: 'Outlet not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/outlets/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update outlet: ${error.message}` });
+  }
+});
+
+// Add tables to the selected outlet by number (admin)
+app.post('/api/admin/tables', requireRole('admin'), requireOutlet, async (req, res) => {
+  const { numbers } = req.body;
+  if (!Array.isArray(numbers) || !numbers.length || numbers.some(number => !Number.isInteger(number) || number <= 0)) {
+    console.log('POST /api/admin/tables - Invalid numbers');
+    return res.status(400).json({ error: 'numbers must be a non-empty array of positive whole numbers' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('tables')
+      .insert([...new Set(numbers)].map(number => ({ outlet_id: req.outletId, number })))
+      .select('id, number, outlet_id');
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/tables - Table number taken');
+        return res.status(409).json({ error: 'One or more table numbers already exist at this outlet' });
+      }
+      throw error;
+    }
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/tables - Error:', error);
+    res.status(500).json({ error: `Failed to create tables: ${error.message}` });
+  }
+});
+
+// Audit log: an append-only record of who changed orders, payments and the menu, and how.
+// Each entry holds the changed fields as { field: { from, to } }; a create has every `from`
+// null and a delete every `to` null.
+const AUDIT_FIELDS = 'id, created_at, staff_id, actor, role, route, entity, entity_id, order_id, action, changes';
+const AUDIT_ENTITIES = ['order', 'payment', 'refund', 'menu_item', 'outlet_menu_item', 'category', 'modifier_group', 'modifier_option',
+  'customer', 'manager_approval'];
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 500;
+// Bookkeeping columns that change along with others and say nothing on their own
+const AUDIT_IGNORED_FIELDS = ['version', 'item_names', 'stock_usage'];
+
+// The fields that differ between two versions of a row. On updates only fields read on both
+// sides are compared.
+function auditChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+    if (before && after && !(field in before && field in after)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// Append an entry for a change made by this request; updates that changed nothing are skipped.
+// The change itself has already happened, so a failure to record it is logged, not returned.
+async function recordAudit(req, { entity, id, action, before = null, after = null, orderId = entity === 'order' ? id : null }) {
+  const changes = auditChanges(before, after);
+  if (before && after && !Object.keys(changes).length) return;
+
+  const { error } = await supabase.from('audit_log').insert([{
+    staff_id: req.staff?.id ?? null,
+    actor: req.staff?.name ?? 'customer',
+    role: req.staff?.role ?? 'customer',
+    route: `${req.method} ${req.route.path}`,
+    entity,
+    entity_id: String(id),
+    order_id: orderId,
+    action,
+    changes
+  }]);
+  if (error) console.error(`Audit log - Failed to record ${action} of ${entity} ${id}:`, error);
+}
+
+// Search the audit log, newest first (owner). Filter with ?staff_id=, ?startDate=&endDate=,
+// ?entity= and ?entity_id=; page with ?limit= and the next_cursor of the previous page.
+app.get('/api/admin/audit', requireRole('admin'), requireOwner, async (req, res) => {
+  const { staff_id, startDate, endDate, entity, entity_id, cursor } = req.query;
+  const limit = req.query.limit === undefined ? AUDIT_DEFAULT_LIMIT : Number(req.query.limit);
+  if (staff_id !== undefined && !/^\d+$/.test(staff_id)) {
+    console.log('GET /api/admin/audit - Invalid staff_id');
+    return res.status(400).json({ error: 'staff_id must be a staff member ID' });
+  }
+  if ([startDate, endDate].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+    console.log('GET /api/admin/audit - Invalid dates');
+    return res.status(400).json({ error: 'startDate and endDate must be dates' });
+  }
+  if (entity !== undefined && !AUDIT_ENTITIES.includes(entity)) {
+    console.log('GET /api/admin/audit - Invalid entity');
+    return res.status(400).json({ error: `entity must be one of ${AUDIT_ENTITIES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_LIMIT) {
+    console.log('GET /api/admin/audit - Invalid limit');
+    return res.status(400).json({ error: `limit must be between 1 and ${AUDIT_MAX_LIMIT}` });
+  }
+  if (cursor !== undefined && !/^\d+$/.test(cursor)) {
+    console.log('GET /api/admin/audit - Invalid cursor');
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    let query = supabase
+      .from('audit_log')
+      .select(AUDIT_FIELDS)
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+    if (staff_id) query = query.eq('staff_id', staff_id);
+    if (startDate) query = query.gte('created_at', startDate);
+    if (endDate) query = query.lte('created_at', endDate);
+    if (entity) query = query.eq('entity', entity);
+    if (entity_id) query = query.eq('entity_id', entity_id);
+    if (cursor) query = query.lt('id', cursor);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    const entries = data.slice(0, limit);
+    res.json({
+      entries,
+      next_cursor: data.length > limit ? String(entries[entries.length - 1].id) : null
+    });
+  } catch (error) {
+    console.error('GET /api/admin/audit - Error:', error);
+    res.status(500).json({ error: `Failed to search audit log: ${error.message}` });
+  }
+});
+
+// Everything that happened to one order, its payments and refunds included, oldest first (admin)
+app.get('/api/admin/orders/:id/audit', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('audit_log')
+      .select(AUDIT_FIELDS)
+      .eq('order_id', id)
+      .order('id', { ascending: true });
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/orders/:id/audit - Error:', error);
+    res.status(500).json({ error: `Failed to fetch order audit trail: ${error.message}` });
+  }
+});
+
 // Validate location endpoint
 app.post('/api/validate-location', async (req, res) => {
-  const { latitude, longitude } = req.body;
+  const { latitude, longitude, table_token, table_id, outlet_id } = req.body;
+
+  if (table_token) {
+    try {
+      const { data: table, error } = await verifyTableToken(table_token);
+      if (error) console.log('POST /api/validate-location - Table token rejected:', error);
+      return res.json(error
+        ? { isValid: false, error }
+        : { isValid: true, table_id: table.id, table_number: table.number, outlet_id: table.outlet_id });
+    } catch (error) {
+      console.error('POST /api/validate-location - Error:', error);
+      return res.status(500).json({ error: `Failed to validate location: ${error.message}` });
+    }
+  }
 
   if (!latitude || !longitude) {
     console.log('POST /api/validate-location - Missing coordinates');
@@ -63,9 +776,16 @@ app.post('/api/validate-location', async (req, res) => {
   }
 
   try {
+    const { data: outletId, status, error: outletError } = await resolveCustomerOutlet({ table_id, outlet_id });
+    if (outletError) {
+      console.log('POST /api/validate-location - No outlet:', outletError);
+      return res.status(status).json({ error: outletError });
+    }
+
     const { data: settings, error: settingsError } = await supabase
       .from('cafe_settings')
       .select('latitude, longitude, geofence_radius_meters')
+      .eq('outlet_id', outletId)
       .single();
 
     if (settingsError || !settings) {
@@ -103,6 +823,109 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// Table QR codes: a signed token naming the table and its current qr_nonce. Regenerating a
+// table's code changes the nonce, which invalidates every earlier code for it. A code works
+// until it expires (cafe_settings.qr_token_ttl_minutes), and after that only while the table
+// session opened before its expiry is still running.
+const CUSTOMER_VERIFICATION_MODES = ['geofence', 'qr', 'either'];
+
+// Check a scanned table token, optionally against the table the customer claims to sit at.
+// Returns { data: table } or { error } with a message for a 403 response.
+async function verifyTableToken(token, tableId = null) {
+  const payload = verifyToken(token, { ignoreExpiry: true });
+  if (!payload || payload.typ !== 'table') return { error: 'Invalid table QR code' };
+  if (tableId && String(payload.tid) !== String(tableId)) return { error: 'This QR code belongs to another table' };
+
+  const { data: table, error } = await supabase
+    .from('tables')
+    .select('id, number, outlet_id, qr_nonce')
+    .eq('id', payload.tid)
+    .maybeSingle();
+  if (error) throw error;
+  if (!table || table.qr_nonce !== payload.n) {
+    return { error: 'This QR code has been replaced, please scan the code on your table' };
+  }
+
+  if (payload.exp < Math.floor(Date.now() / 1000)) {
+    const { data: session, error: sessionError } = await supabase
+      .from('table_sessions')
+      .select('opened_at')
+      .eq('table_id', table.id)
+      .neq('status', 'closed')
+      .maybeSingle();
+    if (sessionError) throw sessionError;
+    if (!session || new Date(session.opened_at).getTime() / 1000 > payload.exp) {
+      return { error: 'This QR code has expired, please ask staff for a new one' };
+    }
+  }
+  return { data: { id: table.id, number: table.number, outlet_id: table.outlet_id } };
+}
+
+// Check a customer is at the café with a table QR token or coordinates inside the geofence of
+// the table's outlet, whichever its customer_verification allows. The token also names the table.
+// Returns { data: { table_id, outlet_id } } or { status, error } for the error response.
+async function verifyCustomerPresence({ table_token, latitude, longitude }, tableId = null) {
+  const { data: outletId, status, error: outletError } = await resolveCustomerOutlet({ table_id: tableId, table_token });
+  if (outletError) return { status, error: outletError };
+
+  const { data: settings, error: settingsError } = await supabase
+    .from('cafe_settings')
+    .select('latitude, longitude, geofence_radius_meters, customer_verification')
+    .eq('outlet_id', outletId)
+    .single();
+  if (settingsError || !settings) return { status: 500, error: 'Cafe settings not configured' };
+  const mode = settings.customer_verification || 'either';
+
+  if (table_token && mode !== 'geofence') {
+    const { data: table, error } = await verifyTableToken(table_token, tableId);
+    if (error) return { status: 403, error };
+    return { data: { table_id: table.id, outlet_id: table.outlet_id } };
+  }
+  if (mode === 'qr') return { status: 400, error: 'Scan the QR code on your table to order' };
+  if (!latitude || !longitude) {
+    return { status: 400, error: 'Latitude and longitude are required for customer orders' };
+  }
+
+  const distance = calculateDistance(latitude, longitude, settings.latitude, settings.longitude);
+  if (distance > settings.geofence_radius_meters) {
+    return { status: 403, error: 'Orders can only be placed from within the cafe' };
+  }
+  return { data: { table_id: tableId, outlet_id: outletId } };
+}
+
+// Sign a QR code for a table, first replacing its nonce when `rotate` is set.
+// Returns null if there is no such table.
+async function issueTableQr(tableId, { rotate = false } = {}) {
+  const tableQuery = rotate
+    ? supabase
+      .from('tables')
+      .update({ qr_nonce: crypto.randomBytes(12).toString('base64url'), qr_rotated_at: new Date().toISOString() })
+      .eq('id', tableId)
+      .select('id, number, outlet_id, qr_nonce')
+    : supabase.from('tables').select('id, number, outlet_id, qr_nonce').eq('id', tableId);
+  const { data: table, error } = await tableQuery.maybeSingle();
+  if (error) throw error;
+  if (!table) return null;
+
+  const { data: settings, error: settingsError } = await supabase
+    .from('cafe_settings')
+    .select('qr_token_ttl_minutes')
+    .eq('outlet_id', table.outlet_id)
+    .single();
+  if (settingsError) throw settingsError;
+
+  const ttlSeconds = (settings.qr_token_ttl_minutes || 180) * 60;
+  const token = signToken({ typ: 'table', tid: table.id, n: table.qr_nonce }, ttlSeconds);
+  return {
+    table_id: table.id,
+    table_number: table.number,
+    outlet_id: table.outlet_id,
+    token,
+    url: `${CUSTOMER_APP_URL}/table/${table.id}?t=${encodeURIComponent(token)}`,
+    expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+  };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -120,284 +943,6468 @@ app.get('/api/test-supabase', async (req, res) => {
   }
 });
 
-// Get menu items
-app.get('/api/menu', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('menu_items')
-      .select('id, name, category, price, description, image_url')
-      .eq('is_available', true)
-      .order('category, name');
+// Sort menu items by their category's display order, then by name.
+// Items without a known category go last.
+function sortByCategoryOrder(items, categories) {
+  const orderByName = new Map(categories.map(category => [category.name, category.display_order]));
+  const rank = item => orderByName.has(item.category) ? orderByName.get(item.category) : Number.MAX_SAFE_INTEGER;
+  return [...items].sort((a, b) => rank(a) - rank(b) || String(a.name).localeCompare(String(b.name)));
+}
+
+const MODIFIER_GROUP_FIELDS = 'id, name, min_select, max_select, display_order, modifier_options(id, name, price_delta, is_available, display_order)';
+
+// Order modifier groups and their options by display order, dropping unavailable options
+function formatModifierGroups(groups) {
+  const byDisplayOrder = (a, b) => (a.display_order || 0) - (b.display_order || 0) || a.id - b.id;
+  return [...(groups || [])].sort(byDisplayOrder).map(({ modifier_options, ...group }) => ({
+    ...group,
+    options: (modifier_options || []).filter(option => option.is_available).sort(byDisplayOrder)
+  }));
+}
+
+// Menu item rows as served at an outlet: its overrides replace the item's price and availability
+async function applyOutletMenu(outletId, items) {
+  const { data: overrides, error } = await supabase
+    .from('outlet_menu_items')
+    .select('menu_item_id, price, is_available')
+    .eq('outlet_id', outletId);
+  if (error) throw error;
+
+  const byItem = new Map(overrides.map(override => [override.menu_item_id, override]));
+  return items.map(item => {
+    const override = byItem.get(item.id);
+    if (!override) return item;
+    return {
+      ...item,
+      ...(override.price !== null && { price: override.price }),
+      ...(override.is_available !== null && { is_available: override.is_available })
+    };
+  });
+}
+
+// Get menu items that can be ordered right now at the customer's outlet (see resolveCustomerOutlet)
+// or the staff member's. Customers get a "closed" error outside opening hours.
+// Items and modifier options the stock on hand can't make are left out.
+app.get('/api/menu', async (req, res) => {
+  try {
+    const { data: outletId, status: outletStatus, error: outletError } = req.outletId
+      ? { data: req.outletId }
+      : await resolveCustomerOutlet(req.query);
+    if (outletError) {
+      console.log('GET /api/menu - No outlet:', outletError);
+      return res.status(outletStatus).json({ error: outletError });
+    }
+
+    if (!req.staff) {
+      const status = await getCafeStatus(outletId);
+      if (!status.open) {
+        console.log('GET /api/menu - Cafe is closed');
+        return res.status(403).json({ error: status.message, closed: true, opens_at: status.opens_at });
+      }
+    }
+
+    const [{ data, error }, { data: categories, error: categoriesError }, outOfStock] = await Promise.all([
+      supabase
+        .from('menu_items')
+        .select(`id, name, category, price, description, image_url, is_available, availability_schedule, modifier_groups(${MODIFIER_GROUP_FIELDS})`),
+      supabase
+        .from('categories')
+        .select('name, display_order, availability_schedule'),
+      findOutOfStock()
+    ]);
     if (error) throw error;
-    res.json(data || []);
+    if (categoriesError) throw categoriesError;
+
+    const now = new Date();
+    const closedCategories = new Set((categories || [])
+      .filter(category => !isScheduleOpen(category.availability_schedule, now))
+      .map(category => category.name));
+    const inStock = groups => (groups || []).map(group => ({
+      ...group,
+      modifier_options: (group.modifier_options || []).filter(option => !outOfStock.optionIds.has(option.id))
+    }));
+    const menu = (await applyOutletMenu(outletId, data || []))
+      .filter(item => item.is_available)
+      .filter(item => !closedCategories.has(item.category) && isScheduleOpen(item.availability_schedule, now))
+      .filter(item => !outOfStock.menuItemIds.has(item.id))
+      .map(({ availability_schedule, is_available, ...item }) => ({ ...item, modifier_groups: formatModifierGroups(inStock(item.modifier_groups)) }))
+      // A required choice with nothing left to pick makes the item unorderable
+      .filter(item => item.modifier_groups.every(group => group.options.length >= group.min_select));
+    res.json(sortByCategoryOrder(menu, categories || []));
   } catch (error) {
     console.error('GET /api/menu - Error:', error);
     res.status(500).json({ error: `Failed to fetch menu: ${error.message}` });
   }
 });
 
-// Create order
-app.post('/api/orders', async (req, res) => {
-  const { table_id, items, notes, latitude, longitude } = req.body;
-  const isWaiterRequest = req.headers['x-waiter-auth'] === 'true';
+const MENU_ITEM_FIELDS = 'id, name, category, price, description, image_url, is_available, gst_rate, availability_schedule';
 
-  if (!table_id || !items || !Array.isArray(items)) {
-    console.log('POST /api/orders - Invalid input');
-    return res.status(400).json({ error: 'Table ID and items array are required' });
+// Bulk availability toggle ("86" items mid-service). Staff at an outlet change it for their
+// outlet only; an owner without a selected outlet changes the items everywhere.
+app.patch('/api/menu/availability', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { item_ids, is_available } = req.body;
+  if (!Array.isArray(item_ids) || !item_ids.length || typeof is_available !== 'boolean') {
+    console.log('PATCH /api/menu/availability - Invalid input');
+    return res.status(400).json({ error: 'Non-empty item_ids array and boolean is_available are required' });
   }
 
   try {
-    // Validate location for non-waiter requests
-    if (!isWaiterRequest) {
-      if (!latitude || !longitude) {
-        console.log('POST /api/orders - Missing coordinates for non-waiter request');
-        return res.status(400).json({ error: 'Latitude and longitude are required for customer orders' });
+    const { data: rows, error: beforeError } = await supabase
+      .from('menu_items')
+      .select('id, is_available')
+      .in('id', item_ids);
+    if (beforeError) throw beforeError;
+
+    if (req.outletId) {
+      const before = await applyOutletMenu(req.outletId, rows);
+      const { error } = await supabase
+        .from('outlet_menu_items')
+        .upsert(rows.map(row => ({ outlet_id: req.outletId, menu_item_id: row.id, is_available })), { onConflict: 'outlet_id,menu_item_id' });
+      if (error) throw error;
+
+      const { data: items, error: itemsError } = await supabase
+        .from('menu_items')
+        .select(MENU_ITEM_FIELDS)
+        .in('id', rows.map(row => row.id));
+      if (itemsError) throw itemsError;
+      const data = await applyOutletMenu(req.outletId, items);
+
+      for (const item of data) {
+        const previous = before.find(row => row.id === item.id);
+        await recordAudit(req, {
+          entity: 'outlet_menu_item',
+          id: `${req.outletId}:${item.id}`,
+          action: 'update',
+          before: { is_available: previous.is_available },
+          after: { is_available: item.is_available }
+        });
       }
+      return res.json(data);
+    }
+
+    const { data, error } = await supabase
+      .from('menu_items')
+      .update({ is_available })
+      .in('id', item_ids)
+      .select(MENU_ITEM_FIELDS);
+    if (error) throw error;
+
+    for (const item of data) {
+      const previous = rows.find(row => row.id === item.id);
+      await recordAudit(req, { entity: 'menu_item', id: item.id, action: 'update', before: previous, after: item });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/menu/availability - Error:', error);
+    res.status(500).json({ error: `Failed to update availability: ${error.message}` });
+  }
+});
+
+// GST slabs that can be assigned to menu items and categories
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Validate an admin menu item payload. With `partial` only the supplied fields are checked.
+// Returns { data } with the columns to write, or { error } with a message for a 400 response.
+function parseMenuItemInput(body, { partial = false } = {}) {
+  const { name, category, price, description, image_url, is_available, gst_rate, availability_schedule } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Name is required' };
+    data.name = name.trim();
+  }
+  if (price !== undefined || !partial) {
+    const parsedPrice = parseFloat(price);
+    if (!Number.isFinite(parsedPrice) || parsedPrice < 0) return { error: 'Price must be a non-negative number' };
+    data.price = Math.round(parsedPrice * 100) / 100;
+  }
+  if (category !== undefined) data.category = category || null;
+  if (description !== undefined) data.description = description || null;
+  if (image_url !== undefined) {
+    if (image_url && !/^https?:\/\//i.test(image_url)) return { error: 'Image URL must start with http:// or https://' };
+    data.image_url = image_url || null;
+  }
+  if (is_available !== undefined) {
+    if (typeof is_available !== 'boolean') return { error: 'is_available must be a boolean' };
+    data.is_available = is_available;
+  }
+  if (gst_rate !== undefined) {
+    if (gst_rate !== null && !GST_RATES.includes(gst_rate)) return { error: `gst_rate must be null or one of ${GST_RATES.join(', ')}` };
+    data.gst_rate = gst_rate;
+  }
+  if (availability_schedule !== undefined) {
+    const { data: schedule, error } = parseSchedule(availability_schedule, 'availability_schedule');
+    if (error) return { error };
+    data.availability_schedule = schedule;
+  }
 
-      const { data: settings, error: settingsError } = await supabase
-        .from('cafe_settings')
-        .select('latitude, longitude, geofence_radius_meters')
-        .single();
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// List all menu items, including unavailable ones (admin)
+app.get('/api/admin/menu-items', requireRole('admin'), async (req, res) => {
+  try {
+    const [{ data, error }, { data: categories, error: categoriesError }] = await Promise.all([
+      supabase.from('menu_items').select(MENU_ITEM_FIELDS),
+      supabase.from('categories').select('name, display_order')
+    ]);
+    if (error) throw error;
+    if (categoriesError) throw categoriesError;
+    res.json(sortByCategoryOrder(data || [], categories || []));
+  } catch (error) {
+    console.error('GET /api/admin/menu-items - Error:', error);
+    res.status(500).json({ error: `Failed to fetch menu items: ${error.message}` });
+  }
+});
+
+// Create menu item (owner)
+app.post('/api/admin/menu-items', requireRole('admin'), requireOwner, async (req, res) => {
+  const { data: input, error: inputError } = parseMenuItemInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/menu-items - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
 
-      if (settingsError || !settings) {
-        console.log('POST /api/orders - Cafe settings not found:', settingsError?.message);
-        return res.status(500).json({ error: 'Cafe settings not configured' });
+  try {
+    const { data, error } = await supabase
+      .from('menu_items')
+      .insert([input])
+      .select(MENU_ITEM_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23503') {
+        console.log('POST /api/admin/menu-items - Unknown category');
+        return res.status(400).json({ error: 'Category does not exist' });
       }
+      throw error;
+    }
+    await recordAudit(req, { entity: 'menu_item', id: data.id, action: 'create', after: data });
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/menu-items - Error:', error);
+    res.status(500).json({ error: `Failed to create menu item: ${error.message}` });
+  }
+});
+
+// Update menu item (owner)
+app.patch('/api/admin/menu-items/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseMenuItemInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/menu-items/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data: before, error: beforeError } = await supabase
+      .from('menu_items')
+      .select(MENU_ITEM_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (beforeError) throw beforeError;
 
-      const distance = calculateDistance(latitude, longitude, settings.latitude, settings.longitude);
-      if (distance > settings.geofence_radius_meters) {
-        console.log('POST /api/orders - Location outside geofence');
-        return res.status(403).json({ error: 'Orders can only be placed from within the cafe' });
+    const { data, error } = await supabase
+      .from('menu_items')
+      .update(input)
+      .eq('id', id)
+      .select(MENU_ITEM_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23503') {
+        console.log('PATCH /api/admin/menu-items/:id - Unknown category');
+        return res.status(400).json({ error: 'Category does not exist' });
       }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/menu-items/:id - Menu item not found');
+      return res.status(404).json({ error: 'Menu item not found' });
     }
+    await recordAudit(req, { entity: 'menu_item', id: data.id, action: 'update', before, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/menu-items/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update menu item: ${error.message}` });
+  }
+});
 
-    // Validate table_id
-    const { data: table, error: tableError } = await supabase
-      .from('tables')
-      .select('id')
-      .eq('id', table_id)
+// Price and availability overrides of the selected outlet, with the menu item they apply to (admin)
+const OUTLET_MENU_ITEM_FIELDS = 'outlet_id, menu_item_id, price, is_available';
+
+app.get('/api/admin/menu-overrides', requireRole('admin'), requireOutlet, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('outlet_menu_items')
+      .select(`${OUTLET_MENU_ITEM_FIELDS}, menu_items(name, category, price, is_available)`)
+      .eq('outlet_id', req.outletId)
+      .order('menu_item_id');
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/menu-overrides - Error:', error);
+    res.status(500).json({ error: `Failed to fetch menu overrides: ${error.message}` });
+  }
+});
+
+// Set the selected outlet's price and/or availability for a menu item; null falls back to the
+// item's own (admin)
+app.put('/api/admin/menu-overrides/:menuItemId', requireRole('admin'), requireOutlet, async (req, res) => {
+  const { menuItemId } = req.params;
+  const { price, is_available } = req.body;
+  const override = { outlet_id: req.outletId, menu_item_id: parseInt(menuItemId) };
+  if (price !== undefined) {
+    const parsedPrice = parseFloat(price);
+    if (price !== null && (!Number.isFinite(parsedPrice) || parsedPrice < 0)) {
+      console.log('PUT /api/admin/menu-overrides/:menuItemId - Invalid price');
+      return res.status(400).json({ error: 'price must be null or a non-negative number' });
+    }
+    override.price = price === null ? null : Math.round(parsedPrice * 100) / 100;
+  }
+  if (is_available !== undefined) {
+    if (is_available !== null && typeof is_available !== 'boolean') {
+      console.log('PUT /api/admin/menu-overrides/:menuItemId - Invalid is_available');
+      return res.status(400).json({ error: 'is_available must be null or a boolean' });
+    }
+    override.is_available = is_available;
+  }
+  if (!(override.menu_item_id > 0) || Object.keys(override).length === 2) {
+    console.log('PUT /api/admin/menu-overrides/:menuItemId - Invalid input');
+    return res.status(400).json({ error: 'A menu item ID and price or is_available are required' });
+  }
+
+  try {
+    const { data: before, error: beforeError } = await supabase
+      .from('outlet_menu_items')
+      .select(OUTLET_MENU_ITEM_FIELDS)
+      .eq('outlet_id', req.outletId)
+      .eq('menu_item_id', override.menu_item_id)
+      .maybeSingle();
+    if (beforeError) throw beforeError;
+
+    const { data, error } = await supabase
+      .from('outlet_menu_items')
+      .upsert([override], { onConflict: 'outlet_id,menu_item_id' })
+      .select(OUTLET_MENU_ITEM_FIELDS)
       .single();
-    if (tableError || !table) {
-      console.log('POST /api/orders - Invalid table:', tableError?.message);
-      return res.status(400).json({ error: 'Invalid table ID' });
+    if (error) {
+      if (error.code === '23503') {
+        console.log('PUT /api/admin/menu-overrides/:menuItemId - Menu item not found');
+        return res.status(404).json({ error: 'Menu item not found' });
+      }
+      throw error;
     }
+    await recordAudit(req, {
+      entity: 'outlet_menu_item',
+      id: `${data.outlet_id}:${data.menu_item_id}`,
+      action: before ? 'update' : 'create',
+      before,
+      after: data
+    });
+    res.json(data);
+  } catch (error) {
+    console.error('PUT /api/admin/menu-overrides/:menuItemId - Error:', error);
+    res.status(500).json({ error: `Failed to save menu override: ${error.message}` });
+  }
+});
 
-    // Validate items
-    const itemIds = items.map(item => item.item_id).filter(id => id);
-    if (itemIds.length !== items.length) {
-      console.log('POST /api/orders - Missing item IDs');
-      return res.status(400).json({ error: 'All items must have valid item IDs' });
+// Drop the selected outlet's override for a menu item (admin)
+app.delete('/api/admin/menu-overrides/:menuItemId', requireRole('admin'), requireOutlet, async (req, res) => {
+  const { menuItemId } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('outlet_menu_items')
+      .delete()
+      .eq('outlet_id', req.outletId)
+      .eq('menu_item_id', menuItemId)
+      .select(OUTLET_MENU_ITEM_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/menu-overrides/:menuItemId - Override not found');
+      return res.status(404).json({ error: 'Menu override not found' });
     }
-    const { data: menuItems, error: itemsError } = await supabase
+    await recordAudit(req, { entity: 'outlet_menu_item', id: `${data.outlet_id}:${data.menu_item_id}`, action: 'delete', before: data });
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/menu-overrides/:menuItemId - Error:', error);
+    res.status(500).json({ error: `Failed to delete menu override: ${error.message}` });
+  }
+});
+
+// Delete menu item (owner). Past orders keep their own copy of the line items.
+app.delete('/api/admin/menu-items/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
       .from('menu_items')
-      .select('id')
-      .in('id', itemIds);
-    if (itemsError || menuItems.length !== itemIds.length) {
-      console.log('POST /api/orders - Invalid items:', itemsError?.message);
-      return res.status(400).json({ error: 'One or more items are invalid' });
+      .delete()
+      .eq('id', id)
+      .select(MENU_ITEM_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/menu-items/:id - Menu item not found');
+      return res.status(404).json({ error: 'Menu item not found' });
     }
+    await recordAudit(req, { entity: 'menu_item', id: data.id, action: 'delete', before: data });
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/menu-items/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete menu item: ${error.message}` });
+  }
+});
 
-    const validItems = items.map(item => ({
-      item_id: item.item_id,
-      name: item.name || 'Unknown',
-      price: parseFloat(item.price) || 0,
-      quantity: parseInt(item.quantity) || 1,
-      category: item.category || '',
-      note: item.note || ''
-    }));
-
+// List categories in display order (admin)
+app.get('/api/admin/categories', requireRole('admin'), async (req, res) => {
+  try {
     const { data, error } = await supabase
-      .from('orders')
-      .insert([{ table_id, items: validItems, status: 'pending', notes: notes || null }])
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type')
-      .single();
+      .from('categories')
+      .select('id, name, display_order, gst_rate, availability_schedule')
+      .order('display_order')
+      .order('name');
     if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/categories - Error:', error);
+    res.status(500).json({ error: `Failed to fetch categories: ${error.message}` });
+  }
+});
 
-    res.json(data);
+// Create category (owner)
+app.post('/api/admin/categories', requireRole('admin'), requireOwner, async (req, res) => {
+  const { name, display_order, gst_rate } = req.body;
+  const { data: schedule, error: scheduleError } = parseSchedule(req.body.availability_schedule ?? null, 'availability_schedule');
+  if (typeof name !== 'string' || !name.trim()) {
+    console.log('POST /api/admin/categories - Missing name');
+    return res.status(400).json({ error: 'Category name is required' });
+  }
+  if (display_order !== undefined && !Number.isInteger(display_order)) {
+    console.log('POST /api/admin/categories - Invalid display order');
+    return res.status(400).json({ error: 'display_order must be an integer' });
+  }
+  if (gst_rate !== undefined && gst_rate !== null && !GST_RATES.includes(gst_rate)) {
+    console.log('POST /api/admin/categories - Invalid GST rate');
+    return res.status(400).json({ error: `gst_rate must be null or one of ${GST_RATES.join(', ')}` });
+  }
+  if (scheduleError) {
+    console.log('POST /api/admin/categories - Invalid schedule:', scheduleError);
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('categories')
+      .insert([{ name: name.trim(), display_order: display_order ?? 0, gst_rate: gst_rate ?? null, availability_schedule: schedule }])
+      .select('id, name, display_order, gst_rate, availability_schedule')
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/categories - Duplicate name');
+        return res.status(409).json({ error: 'A category with this name already exists' });
+      }
+      throw error;
+    }
+    await recordAudit(req, { entity: 'category', id: data.id, action: 'create', after: data });
+    res.status(201).json(data);
   } catch (error) {
-    console.error('POST /api/orders - Error:', error);
-    res.status(500).json({ error: `Failed to create order: ${error.message}` });
+    console.error('POST /api/admin/categories - Error:', error);
+    res.status(500).json({ error: `Failed to create category: ${error.message}` });
   }
 });
 
-// Update order items
-app.patch('/api/orders/:id', async (req, res) => {
+// Rename, reorder, or change the GST rate or schedule of a category (owner). Renames cascade to menu_items.category.
+app.patch('/api/admin/categories/:id', requireRole('admin'), requireOwner, async (req, res) => {
   const { id } = req.params;
-  const { items, notes } = req.body;
-  const isWaiterRequest = req.headers['x-waiter-auth'] === 'true';
+  const { name, display_order, gst_rate } = req.body;
 
-  if (!items || !Array.isArray(items)) {
-    console.log('PATCH /api/orders/:id - Invalid input');
-    return res.status(400).json({ error: 'Non-empty items array is required' });
+  const updates = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      console.log('PATCH /api/admin/categories/:id - Invalid name');
+      return res.status(400).json({ error: 'Category name cannot be empty' });
+    }
+    updates.name = name.trim();
+  }
+  if (display_order !== undefined) {
+    if (!Number.isInteger(display_order)) {
+      console.log('PATCH /api/admin/categories/:id - Invalid display order');
+      return res.status(400).json({ error: 'display_order must be an integer' });
+    }
+    updates.display_order = display_order;
+  }
+  if (gst_rate !== undefined) {
+    if (gst_rate !== null && !GST_RATES.includes(gst_rate)) {
+      console.log('PATCH /api/admin/categories/:id - Invalid GST rate');
+      return res.status(400).json({ error: `gst_rate must be null or one of ${GST_RATES.join(', ')}` });
+    }
+    updates.gst_rate = gst_rate;
+  }
+  if (req.body.availability_schedule !== undefined) {
+    const { data: schedule, error: scheduleError } = parseSchedule(req.body.availability_schedule, 'availability_schedule');
+    if (scheduleError) {
+      console.log('PATCH /api/admin/categories/:id - Invalid schedule:', scheduleError);
+      return res.status(400).json({ error: scheduleError });
+    }
+    updates.availability_schedule = schedule;
+  }
+  if (!Object.keys(updates).length) {
+    console.log('PATCH /api/admin/categories/:id - Nothing to update');
+    return res.status(400).json({ error: 'No fields to update' });
   }
 
   try {
-    // Check if order exists and is pending
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .select('status')
+    const { data: before, error: beforeError } = await supabase
+      .from('categories')
+      .select('id, name, display_order, gst_rate, availability_schedule')
       .eq('id', id)
-      .single();
-    if (orderError || !order) {
-      console.log('PATCH /api/orders/:id - Order not found:', orderError?.message);
-      return res.status(404).json({ error: 'Order not found' });
+      .maybeSingle();
+    if (beforeError) throw beforeError;
+
+    const { data, error } = await supabase
+      .from('categories')
+      .update(updates)
+      .eq('id', id)
+      .select('id, name, display_order, gst_rate, availability_schedule')
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/categories/:id - Duplicate name');
+        return res.status(409).json({ error: 'A category with this name already exists' });
+      }
+      throw error;
     }
-    if (order.status !== 'pending') {
-      console.log('PATCH /api/orders/:id - Can only update pending orders');
-      return res.status(400).json({ error: 'Can only update pending orders' });
+    if (!data) {
+      console.log('PATCH /api/admin/categories/:id - Category not found');
+      return res.status(404).json({ error: 'Category not found' });
     }
+    await recordAudit(req, { entity: 'category', id: data.id, action: 'update', before, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/categories/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update category: ${error.message}` });
+  }
+});
 
-    // Validate items
-    const itemIds = items.map(item => item.item_id).filter(id => id);
-    if (itemIds.length !== items.length) {
-      console.log('PATCH /api/orders/:id - Missing item IDs');
-      return res.status(400).json({ error: 'All items must have valid item IDs' });
+// Delete category (owner). Only allowed once no menu items use it.
+app.delete('/api/admin/categories/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('categories')
+      .delete()
+      .eq('id', id)
+      .select('id, name, display_order, gst_rate, availability_schedule')
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23503') {
+        console.log('DELETE /api/admin/categories/:id - Category in use');
+        return res.status(409).json({ error: 'Category still has menu items' });
+      }
+      throw error;
     }
-    const { data: menuItems, error: itemsError } = await supabase
-      .from('menu_items')
+    if (!data) {
+      console.log('DELETE /api/admin/categories/:id - Category not found');
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    await recordAudit(req, { entity: 'category', id: data.id, action: 'delete', before: data });
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/categories/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete category: ${error.message}` });
+  }
+});
+
+// Validate an admin modifier group payload. With `partial` only the supplied fields are checked.
+// Returns { data } with the columns to write, or { error } with a message for a 400 response.
+function parseModifierGroupInput(body, { partial = false } = {}) {
+  const { name, min_select, max_select, display_order } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Group name is required' };
+    data.name = name.trim();
+  }
+  for (const [field, value] of Object.entries({ min_select, max_select, display_order })) {
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0) return { error: `${field} must be a non-negative integer` };
+    data[field] = value;
+  }
+  if (data.max_select === 0) return { error: 'max_select must be at least 1' };
+  if (data.min_select !== undefined && data.max_select !== undefined && data.min_select > data.max_select) {
+    return { error: 'min_select cannot be greater than max_select' };
+  }
+
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// Validate an admin modifier option payload. With `partial` only the supplied fields are checked.
+function parseModifierOptionInput(body, { partial = false } = {}) {
+  const { name, price_delta, is_available, display_order } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Option name is required' };
+    data.name = name.trim();
+  }
+  if (price_delta !== undefined) {
+    const delta = parseFloat(price_delta);
+    if (!Number.isFinite(delta)) return { error: 'price_delta must be a number' };
+    data.price_delta = Math.round(delta * 100) / 100;
+  }
+  if (is_available !== undefined) {
+    if (typeof is_available !== 'boolean') return { error: 'is_available must be a boolean' };
+    data.is_available = is_available;
+  }
+  if (display_order !== undefined) {
+    if (!Number.isInteger(display_order)) return { error: 'display_order must be an integer' };
+    data.display_order = display_order;
+  }
+
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// List modifier groups with all their options (admin)
+app.get('/api/admin/modifier-groups', requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('modifier_groups')
+      .select(MODIFIER_GROUP_FIELDS)
+      .order('display_order')
+      .order('id');
+    if (error) throw error;
+    res.json((data || []).map(({ modifier_options, ...group }) => ({ ...group, options: modifier_options || [] })));
+  } catch (error) {
+    console.error('GET /api/admin/modifier-groups - Error:', error);
+    res.status(500).json({ error: `Failed to fetch modifier groups: ${error.message}` });
+  }
+});
+
+// Create modifier group, optionally with its options (owner)
+app.post('/api/admin/modifier-groups', requireRole('admin'), requireOwner, async (req, res) => {
+  const { data: input, error: inputError } = parseModifierGroupInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/modifier-groups - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+  const options = req.body.options || [];
+  if (!Array.isArray(options)) {
+    console.log('POST /api/admin/modifier-groups - Invalid options');
+    return res.status(400).json({ error: 'options must be an array' });
+  }
+  const parsedOptions = options.map(option => parseModifierOptionInput(option));
+  const optionError = parsedOptions.find(option => option.error);
+  if (optionError) {
+    console.log('POST /api/admin/modifier-groups - Invalid option:', optionError.error);
+    return res.status(400).json({ error: optionError.error });
+  }
+
+  try {
+    const { data: group, error } = await supabase
+      .from('modifier_groups')
+      .insert([input])
       .select('id')
-      .in('id', itemIds);
-    if (itemsError || menuItems.length !== itemIds.length) {
-      console.log('PATCH /api/orders/:id - Invalid items:', itemsError?.message);
-      return res.status(400).json({ error: 'One or more items are invalid' });
+      .single();
+    if (error) throw error;
+
+    if (parsedOptions.length) {
+      const { error: optionsError } = await supabase
+        .from('modifier_options')
+        .insert(parsedOptions.map(option => ({ ...option.data, group_id: group.id })));
+      if (optionsError) throw optionsError;
+    }
+
+    const { data, error: fetchError } = await supabase
+      .from('modifier_groups')
+      .select(MODIFIER_GROUP_FIELDS)
+      .eq('id', group.id)
+      .single();
+    if (fetchError) throw fetchError;
+
+    const { modifier_options, ...created } = data;
+    await recordAudit(req, { entity: 'modifier_group', id: created.id, action: 'create', after: { ...created, options: modifier_options || [] } });
+    res.status(201).json({ ...created, options: modifier_options || [] });
+  } catch (error) {
+    console.error('POST /api/admin/modifier-groups - Error:', error);
+    res.status(500).json({ error: `Failed to create modifier group: ${error.message}` });
+  }
+});
+
+// Update modifier group rules (owner)
+app.patch('/api/admin/modifier-groups/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseModifierGroupInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/modifier-groups/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data: before, error: beforeError } = await supabase
+      .from('modifier_groups')
+      .select('id, name, min_select, max_select, display_order')
+      .eq('id', id)
+      .maybeSingle();
+    if (beforeError) throw beforeError;
+
+    const { data, error } = await supabase
+      .from('modifier_groups')
+      .update(input)
+      .eq('id', id)
+      .select('id, name, min_select, max_select, display_order')
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23514') {
+        console.log('PATCH /api/admin/modifier-groups/:id - Invalid selection limits');
+        return res.status(400).json({ error: 'min_select cannot be greater than max_select' });
+      }
+      throw error;
     }
+    if (!data) {
+      console.log('PATCH /api/admin/modifier-groups/:id - Modifier group not found');
+      return res.status(404).json({ error: 'Modifier group not found' });
+    }
+    await recordAudit(req, { entity: 'modifier_group', id: data.id, action: 'update', before, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/modifier-groups/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update modifier group: ${error.message}` });
+  }
+});
+
+// Delete modifier group and its options (owner)
+app.delete('/api/admin/modifier-groups/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('modifier_groups')
+      .delete()
+      .eq('id', id)
+      .select('id, name, min_select, max_select, display_order')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/modifier-groups/:id - Modifier group not found');
+      return res.status(404).json({ error: 'Modifier group not found' });
+    }
+    await recordAudit(req, { entity: 'modifier_group', id: data.id, action: 'delete', before: data });
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/modifier-groups/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete modifier group: ${error.message}` });
+  }
+});
+
+// Add option to a modifier group (owner)
+app.post('/api/admin/modifier-groups/:id/options', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseModifierOptionInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/modifier-groups/:id/options - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('modifier_options')
+      .insert([{ ...input, group_id: id }])
+      .select('id, group_id, name, price_delta, is_available, display_order')
+      .single();
+    if (error) {
+      if (error.code === '23503') {
+        console.log('POST /api/admin/modifier-groups/:id/options - Modifier group not found');
+        return res.status(404).json({ error: 'Modifier group not found' });
+      }
+      throw error;
+    }
+    await recordAudit(req, { entity: 'modifier_option', id: data.id, action: 'create', after: data });
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/modifier-groups/:id/options - Error:', error);
+    res.status(500).json({ error: `Failed to create modifier option: ${error.message}` });
+  }
+});
+
+// Update modifier option (owner)
+app.patch('/api/admin/modifier-options/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseModifierOptionInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/modifier-options/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data: before, error: beforeError } = await supabase
+      .from('modifier_options')
+      .select('id, group_id, name, price_delta, is_available, display_order')
+      .eq('id', id)
+      .maybeSingle();
+    if (beforeError) throw beforeError;
+
+    const { data, error } = await supabase
+      .from('modifier_options')
+      .update(input)
+      .eq('id', id)
+      .select('id, group_id, name, price_delta, is_available, display_order')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('PATCH /api/admin/modifier-options/:id - Modifier option not found');
+      return res.status(404).json({ error: 'Modifier option not found' });
+    }
+    await recordAudit(req, { entity: 'modifier_option', id: data.id, action: 'update', before, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/modifier-options/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update modifier option: ${error.message}` });
+  }
+});
+
+// Delete modifier option (owner)
+app.delete('/api/admin/modifier-options/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('modifier_options')
+      .delete()
+      .eq('id', id)
+      .select('id, group_id, name, price_delta, is_available, display_order')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/modifier-options/:id - Modifier option not found');
+      return res.status(404).json({ error: 'Modifier option not found' });
+    }
+    await recordAudit(req, { entity: 'modifier_option', id: data.id, action: 'delete', before: data });
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/modifier-options/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete modifier option: ${error.message}` });
+  }
+});
+
+// Replace the modifier groups attached to a menu item (owner)
+app.put('/api/admin/menu-items/:id/modifier-groups', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { group_ids } = req.body;
+  if (!Array.isArray(group_ids) || !group_ids.every(groupId => Number.isInteger(Number(groupId)))) {
+    console.log('PUT /api/admin/menu-items/:id/modifier-groups - Invalid input');
+    return res.status(400).json({ error: 'group_ids array of modifier group ids is required' });
+  }
+  const uniqueGroupIds = [...new Set(group_ids.map(Number))];
+
+  try {
+    const { data: menuItem, error: menuItemError } = await supabase
+      .from('menu_items')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+    if (menuItemError) throw menuItemError;
+    if (!menuItem) {
+      console.log('PUT /api/admin/menu-items/:id/modifier-groups - Menu item not found');
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    // Swapped in one transaction; an unknown group leaves the old ones attached
+    const { data: attached, error: replaceError } = await supabase.rpc('set_menu_item_modifier_groups', {
+      p_menu_item_id: menuItem.id,
+      p_group_ids: uniqueGroupIds
+    });
+    if (replaceError) {
+      if (replaceError.code === '23503') {
+        console.log('PUT /api/admin/menu-items/:id/modifier-groups - Unknown modifier group');
+        return res.status(400).json({ error: 'One or more modifier groups do not exist' });
+      }
+      throw replaceError;
+    }
+
+    const { data, error } = await supabase
+      .from('menu_items')
+      .select(`${MENU_ITEM_FIELDS}, modifier_groups(${MODIFIER_GROUP_FIELDS})`)
+      .eq('id', id)
+      .single();
+    if (error) throw error;
+
+    await recordAudit(req, {
+      entity: 'menu_item',
+      id: menuItem.id,
+      action: 'update',
+      before: { modifier_group_ids: attached },
+      after: { modifier_group_ids: [...uniqueGroupIds].sort((a, b) => a - b) }
+    });
+    res.json({ ...data, modifier_groups: formatModifierGroups(data.modifier_groups) });
+  } catch (error) {
+    console.error('PUT /api/admin/menu-items/:id/modifier-groups - Error:', error);
+    res.status(500).json({ error: `Failed to update modifier groups: ${error.message}` });
+  }
+});
+
+// Inventory. Stock items are counted in their own unit; a recipe line says how much of a stock
+// item one serving of a menu item, or one pick of a modifier option, uses. Stock is one pool
+// shared by every outlet (a central store): orders at any outlet draw on it, and an item whose
+// stock runs out is out of stock at every outlet. Only the owner changes stock items, recipes and
+// stock levels; staff at any outlet record wastage.
+const STOCK_UNITS = ['g', 'kg', 'ml', 'l', 'pcs'];
+const STOCK_ITEM_FIELDS = 'id, name, unit, quantity, low_stock_threshold, updated_at';
+const STOCK_MOVEMENT_FIELDS = 'id, stock_item_id, kind, quantity, reason, order_id, staff_id, created_at';
+const RECIPE_LINE_FIELDS = 'stock_item_id, quantity, stock_items(name, unit)';
+const STOCK_ADJUSTMENT_KINDS = ['purchase', 'adjustment', 'count'];
+// When orders take their ingredients out of stock: as they are placed, or once they are paid
+const STOCK_DEDUCTION_MODES = ['order', 'payment'];
+
+function roundQuantity(quantity) {
+  return Math.round((quantity + Number.EPSILON) * 1000) / 1000;
+}
+
+async function getStockDeductionMode(outletId) {
+  const { data, error } = await supabase.from('cafe_settings').select('stock_deduct_on').eq('outlet_id', outletId).single();
+  if (error) throw error;
+  return data.stock_deduct_on || 'order';
+}
+
+// Recipe lines for the menu items and modifier options on some order lines
+async function loadRecipes(items) {
+  const itemIds = [...new Set(items.map(item => item.item_id))];
+  const optionIds = [...new Set(items.flatMap(item => (item.modifiers || []).map(modifier => modifier.option_id)))];
+  if (!itemIds.length) return [];
+
+  const owners = [`menu_item_id.in.(${itemIds.join(',')})`];
+  if (optionIds.length) owners.push(`modifier_option_id.in.(${optionIds.join(',')})`);
+  const { data, error } = await supabase
+    .from('recipe_lines')
+    .select('menu_item_id, modifier_option_id, stock_item_id, quantity')
+    .or(owners.join(','));
+  if (error) throw error;
+  return data;
+}
+
+// Stock used by order lines, as { [stock_item_id]: quantity }
+function stockUsage(items, recipes) {
+  const usage = {};
+  for (const item of items) {
+    const optionIds = (item.modifiers || []).map(modifier => String(modifier.option_id));
+    for (const line of recipes) {
+      const used = line.menu_item_id !== null
+        ? String(line.menu_item_id) === String(item.item_id)
+        : optionIds.includes(String(line.modifier_option_id));
+      if (!used) continue;
+      usage[line.stock_item_id] = roundQuantity((usage[line.stock_item_id] || 0) + parseFloat(line.quantity) * (item.quantity || 1));
+    }
+  }
+  return usage;
+}
+
+// Check that stock covers priced order lines, counting what the order already holds (`held`,
+// its stock_usage when it is edited). Returns { data } with the lines' stock usage, or { error }
+// naming the first line that can't be made.
+async function checkOrderStock(items, held = {}) {
+  const recipes = await loadRecipes(items);
+  const usage = stockUsage(items, recipes);
+  const stockIds = Object.keys(usage);
+  if (!stockIds.length) return { data: usage };
+
+  const { data: stock, error } = await supabase.from('stock_items').select('id, quantity').in('id', stockIds);
+  if (error) throw error;
+  const short = new Set(stock
+    .filter(stockItem => parseFloat(stockItem.quantity) + (parseFloat(held?.[stockItem.id]) || 0) < usage[stockItem.id])
+    .map(stockItem => String(stockItem.id)));
+  if (!short.size) return { data: usage };
+
+  const usesShortStock = matchesOwner => recipes.some(line => matchesOwner(line) && short.has(String(line.stock_item_id)));
+  for (const item of items) {
+    if (usesShortStock(line => line.menu_item_id !== null && String(line.menu_item_id) === String(item.item_id))) {
+      return { error: `Sorry, ${item.name} is out of stock` };
+    }
+    const modifier = (item.modifiers || []).find(option =>
+      usesShortStock(line => line.modifier_option_id !== null && String(line.modifier_option_id) === String(option.option_id)));
+    if (modifier) return { error: `Sorry, ${modifier.name} is out of stock for ${item.name}` };
+  }
+  return { error: 'Not enough stock for this order' };
+}
+
+// At or below its low-stock threshold
+function isLowStock(stockItem) {
+  return stockItem.low_stock_threshold !== null &&
+    parseFloat(stockItem.quantity) <= parseFloat(stockItem.low_stock_threshold);
+}
+
+// Alert staff when stock drops to its low-stock threshold. `changes` are stock items as returned
+// by the apply_order_stock and adjust_stock functions, with the change just made.
+function notifyLowStock(changes) {
+  for (const { change, ...stockItem } of changes || []) {
+    const quantity = parseFloat(stockItem.quantity);
+    const threshold = parseFloat(stockItem.low_stock_threshold);
+    if (!Number.isFinite(threshold) || !(parseFloat(change) < 0)) continue;
+    if (quantity <= threshold && quantity - parseFloat(change) > threshold) {
+      console.warn(`Inventory - ${stockItem.name} is low: ${quantity} ${stockItem.unit} left`);
+      publishEvent('stock.low', { stock_item: stockItem });
+    }
+  }
+}
+
+// Set the stock an order holds to `usage` (null gives it all back), recording the difference
+// as stock movements of `kind`
+async function applyOrderStock(orderId, usage, kind, staffId = null) {
+  const { data, error } = await supabase.rpc('apply_order_stock', {
+    p_order_id: orderId,
+    p_usage: usage,
+    p_kind: kind,
+    p_staff_id: staffId
+  });
+  if (error) throw error;
+  notifyLowStock(data);
+}
+
+// Take the stock an order being placed or changed needs (`usage` replaces what it holds), checked
+// against the stock on hand in the same transaction. Resolves false, changing nothing, if the
+// stock can't cover it.
+async function takeOrderStock(orderId, usage, staffId = null) {
+  const { data, error } = await supabase.rpc('take_order_stock', {
+    p_order_id: orderId,
+    p_usage: usage,
+    p_staff_id: staffId
+  });
+  if (error) {
+    if (error.code === '23514') return false;
+    throw error;
+  }
+  notifyLowStock(data);
+  return true;
+}
+
+// Menu items and modifier options whose recipe the stock on hand can't cover for one serving
+async function findOutOfStock() {
+  const { data, error } = await supabase
+    .from('recipe_lines')
+    .select('menu_item_id, modifier_option_id, quantity, stock_items(quantity)');
+  if (error) throw error;
+  const short = data.filter(line => parseFloat(line.stock_items.quantity) < parseFloat(line.quantity));
+  return {
+    menuItemIds: new Set(short.filter(line => line.menu_item_id !== null).map(line => line.menu_item_id)),
+    optionIds: new Set(short.filter(line => line.modifier_option_id !== null).map(line => line.modifier_option_id))
+  };
+}
+
+// Validate an admin stock item payload. Quantity is only taken on create (the opening stock);
+// after that it changes through adjustments, wastage and orders.
+// Returns { data } with the columns to write, or { error } with a message for a 400 response.
+function parseStockItemInput(body, { partial = false } = {}) {
+  const { name, unit, quantity, low_stock_threshold } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Name is required' };
+    data.name = name.trim();
+  }
+  if (unit !== undefined || !partial) {
+    if (!STOCK_UNITS.includes(unit)) return { error: `unit must be one of ${STOCK_UNITS.join(', ')}` };
+    data.unit = unit;
+  }
+  if (low_stock_threshold !== undefined) {
+    if (low_stock_threshold !== null && !(typeof low_stock_threshold === 'number' && low_stock_threshold >= 0)) {
+      return { error: 'low_stock_threshold must be null or a non-negative number' };
+    }
+    data.low_stock_threshold = low_stock_threshold;
+  }
+  if (quantity !== undefined) {
+    if (partial) return { error: 'Change quantity through adjustments' };
+    if (typeof quantity !== 'number' || !(quantity >= 0)) return { error: 'quantity must be a non-negative number' };
+  }
+
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// Validate recipe lines: [{ stock_item_id, quantity }], one line per stock item.
+// Returns { data } with the lines, or { error } with a message for a 400 response.
+function parseRecipeLines(lines) {
+  if (!Array.isArray(lines)) return { error: 'lines array is required' };
+  const data = [];
+  for (const line of lines) {
+    if (!Number.isInteger(line?.stock_item_id)) return { error: 'Each line needs a stock_item_id' };
+    if (typeof line.quantity !== 'number' || !(line.quantity > 0)) return { error: 'Each line needs a positive quantity' };
+    if (data.some(existing => existing.stock_item_id === line.stock_item_id)) {
+      return { error: 'A stock item can only appear once in a recipe' };
+    }
+    data.push({ stock_item_id: line.stock_item_id, quantity: roundQuantity(line.quantity) });
+  }
+  return { data };
+}
+
+// Replace the recipe of a menu item (`menu_item_id`) or modifier option (`modifier_option_id`)
+// in one transaction (replace_recipe), so an unknown stock item leaves the old recipe in place.
+// Returns { data, previous } with the new recipe and the lines it replaced, or { error } if a
+// stock item does not exist.
+async function replaceRecipe(ownerColumn, ownerId, lines) {
+  const { data: previous, error: replaceError } = await supabase.rpc('replace_recipe', {
+    p_menu_item_id: ownerColumn === 'menu_item_id' ? ownerId : null,
+    p_modifier_option_id: ownerColumn === 'modifier_option_id' ? ownerId : null,
+    p_lines: lines
+  });
+  if (replaceError) {
+    if (replaceError.code === '23503') return { error: 'One or more stock items do not exist' };
+    throw replaceError;
+  }
+
+  const { data, error } = await supabase.from('recipe_lines').select(RECIPE_LINE_FIELDS).eq(ownerColumn, ownerId);
+  if (error) throw error;
+  return { data, previous };
+}
+
+// A recipe as recorded in the audit log: its lines in stock item order
+function auditedRecipe(lines) {
+  return lines
+    .map(line => ({ stock_item_id: line.stock_item_id, quantity: parseFloat(line.quantity) }))
+    .sort((a, b) => a.stock_item_id - b.stock_item_id);
+}
+
+// Get a menu item's recipe (admin)
+app.get('/api/admin/menu-items/:id/recipe', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase.from('recipe_lines').select(RECIPE_LINE_FIELDS).eq('menu_item_id', id);
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/menu-items/:id/recipe - Error:', error);
+    res.status(500).json({ error: `Failed to fetch recipe: ${error.message}` });
+  }
+});
+
+// Replace a menu item's recipe (owner)
+app.put('/api/admin/menu-items/:id/recipe', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: lines, error: inputError } = parseRecipeLines(req.body.lines);
+  if (inputError) {
+    console.log('PUT /api/admin/menu-items/:id/recipe - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data: menuItem, error: menuItemError } = await supabase
+      .from('menu_items')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+    if (menuItemError) throw menuItemError;
+    if (!menuItem) {
+      console.log('PUT /api/admin/menu-items/:id/recipe - Menu item not found');
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const { data, previous, error } = await replaceRecipe('menu_item_id', menuItem.id, lines);
+    if (error) {
+      console.log('PUT /api/admin/menu-items/:id/recipe - Unknown stock item');
+      return res.status(400).json({ error });
+    }
+    await recordAudit(req, {
+      entity: 'menu_item',
+      id: menuItem.id,
+      action: 'update',
+      before: { recipe: auditedRecipe(previous) },
+      after: { recipe: auditedRecipe(lines) }
+    });
+    res.json(data);
+  } catch (error) {
+    console.error('PUT /api/admin/menu-items/:id/recipe - Error:', error);
+    res.status(500).json({ error: `Failed to update recipe: ${error.message}` });
+  }
+});
+
+// Get a modifier option's recipe (admin)
+app.get('/api/admin/modifier-options/:id/recipe', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase.from('recipe_lines').select(RECIPE_LINE_FIELDS).eq('modifier_option_id', id);
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/modifier-options/:id/recipe - Error:', error);
+    res.status(500).json({ error: `Failed to fetch recipe: ${error.message}` });
+  }
+});
+
+// Replace a modifier option's recipe, e.g. the extra milk of a "Large" option (owner)
+app.put('/api/admin/modifier-options/:id/recipe', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: lines, error: inputError } = parseRecipeLines(req.body.lines);
+  if (inputError) {
+    console.log('PUT /api/admin/modifier-options/:id/recipe - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data: option, error: optionError } = await supabase
+      .from('modifier_options')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+    if (optionError) throw optionError;
+    if (!option) {
+      console.log('PUT /api/admin/modifier-options/:id/recipe - Modifier option not found');
+      return res.status(404).json({ error: 'Modifier option not found' });
+    }
+
+    const { data, previous, error } = await replaceRecipe('modifier_option_id', option.id, lines);
+    if (error) {
+      console.log('PUT /api/admin/modifier-options/:id/recipe - Unknown stock item');
+      return res.status(400).json({ error });
+    }
+    await recordAudit(req, {
+      entity: 'modifier_option',
+      id: option.id,
+      action: 'update',
+      before: { recipe: auditedRecipe(previous) },
+      after: { recipe: auditedRecipe(lines) }
+    });
+    res.json(data);
+  } catch (error) {
+    console.error('PUT /api/admin/modifier-options/:id/recipe - Error:', error);
+    res.status(500).json({ error: `Failed to update recipe: ${error.message}` });
+  }
+});
+
+// List stock items with a `low` flag for those at or below their threshold (admin)
+app.get('/api/admin/inventory', requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = await supabase.from('stock_items').select(STOCK_ITEM_FIELDS).order('name');
+    if (error) throw error;
+    res.json(data.map(stockItem => ({ ...stockItem, low: isLowStock(stockItem) })));
+  } catch (error) {
+    console.error('GET /api/admin/inventory - Error:', error);
+    res.status(500).json({ error: `Failed to fetch inventory: ${error.message}` });
+  }
+});
+
+// Low-stock alerts: stock items at or below their threshold, lowest first relative to it (staff)
+app.get('/api/inventory/alerts', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('stock_items')
+      .select(STOCK_ITEM_FIELDS)
+      .not('low_stock_threshold', 'is', null);
+    if (error) throw error;
+    const remaining = stockItem => parseFloat(stockItem.quantity) - parseFloat(stockItem.low_stock_threshold);
+    res.json(data.filter(isLowStock).sort((a, b) => remaining(a) - remaining(b)));
+  } catch (error) {
+    console.error('GET /api/inventory/alerts - Error:', error);
+    res.status(500).json({ error: `Failed to fetch low-stock alerts: ${error.message}` });
+  }
+});
+
+// Create stock item, optionally with its opening stock (owner)
+app.post('/api/admin/inventory', requireRole('admin'), requireOwner, async (req, res) => {
+  const { data: input, error: inputError } = parseStockItemInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/inventory - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('stock_items')
+      .insert([input])
+      .select(STOCK_ITEM_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/inventory - Duplicate name');
+        return res.status(409).json({ error: 'A stock item with this name already exists' });
+      }
+      throw error;
+    }
+
+    const opening = roundQuantity(req.body.quantity || 0);
+    if (opening > 0) {
+      const { data: adjusted, error: adjustError } = await supabase.rpc('adjust_stock', {
+        p_stock_item_id: data.id,
+        p_quantity: opening,
+        p_kind: 'purchase',
+        p_reason: 'Opening stock',
+        p_staff_id: req.staff.id
+      });
+      if (adjustError) throw adjustError;
+      data.quantity = adjusted[0].quantity;
+    }
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/inventory - Error:', error);
+    res.status(500).json({ error: `Failed to create stock item: ${error.message}` });
+  }
+});
+
+// Update stock item name, unit or low-stock threshold (owner)
+app.patch('/api/admin/inventory/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseStockItemInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/inventory/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('stock_items')
+      .update({ ...input, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(STOCK_ITEM_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/inventory/:id - Duplicate name');
+        return res.status(409).json({ error: 'A stock item with this name already exists' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/inventory/:id - Stock item not found');
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/inventory/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update stock item: ${error.message}` });
+  }
+});
+
+// Delete stock item (owner). Items used in recipes or with stock history are kept.
+app.delete('/api/admin/inventory/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('stock_items')
+      .delete()
+      .eq('id', id)
+      .select('id')
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23503') {
+        console.log('DELETE /api/admin/inventory/:id - Stock item in use');
+        return res.status(409).json({ error: 'Stock item is used in recipes or has stock history' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('DELETE /api/admin/inventory/:id - Stock item not found');
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/inventory/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete stock item: ${error.message}` });
+  }
+});
+
+// Stock movements of a stock item, newest first (admin). ?limit= defaults to 100.
+app.get('/api/admin/inventory/:id/movements', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  try {
+    const { data, error } = await supabase
+      .from('stock_movements')
+      .select(STOCK_MOVEMENT_FIELDS)
+      .eq('stock_item_id', id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/inventory/:id/movements - Error:', error);
+    res.status(500).json({ error: `Failed to fetch stock movements: ${error.message}` });
+  }
+});
+
+// Adjust stock (owner): a purchase adds `quantity`, an adjustment adds a signed `quantity` and a
+// count sets the stock to the counted `quantity`. Adjustments and counts need a reason.
+app.post('/api/admin/inventory/:id/adjustments', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { kind, quantity, reason } = req.body;
+  if (!STOCK_ADJUSTMENT_KINDS.includes(kind)) {
+    console.log('POST /api/admin/inventory/:id/adjustments - Invalid kind');
+    return res.status(400).json({ error: `kind must be one of ${STOCK_ADJUSTMENT_KINDS.join(', ')}` });
+  }
+  const valid = typeof quantity === 'number' && Number.isFinite(quantity) &&
+    (kind === 'purchase' ? quantity > 0 : kind === 'count' ? quantity >= 0 : quantity !== 0);
+  if (!valid) {
+    console.log('POST /api/admin/inventory/:id/adjustments - Invalid quantity');
+    return res.status(400).json({
+      error: kind === 'purchase' ? 'quantity must be positive' : kind === 'count' ? 'quantity must be zero or more' : 'quantity must be a non-zero number'
+    });
+  }
+  if (kind !== 'purchase' && (typeof reason !== 'string' || !reason.trim())) {
+    console.log('POST /api/admin/inventory/:id/adjustments - Missing reason');
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('adjust_stock', {
+      p_stock_item_id: id,
+      p_quantity: roundQuantity(quantity),
+      p_kind: kind,
+      p_reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      p_staff_id: req.staff.id
+    });
+    if (error) throw error;
+    if (!data.length) {
+      console.log('POST /api/admin/inventory/:id/adjustments - Stock item not found');
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+    notifyLowStock(data);
+    const { change, ...stockItem } = data[0];
+    res.json({ ...stockItem, low: isLowStock(stockItem) });
+  } catch (error) {
+    console.error('POST /api/admin/inventory/:id/adjustments - Error:', error);
+    res.status(500).json({ error: `Failed to adjust stock: ${error.message}` });
+  }
+});
+
+// Record wastage (spills, spoilage, dropped items) with a reason (staff)
+app.post('/api/inventory/:id/wastage', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { quantity, reason } = req.body;
+  if (typeof quantity !== 'number' || !(quantity > 0)) {
+    console.log('POST /api/inventory/:id/wastage - Invalid quantity');
+    return res.status(400).json({ error: 'quantity must be positive' });
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    console.log('POST /api/inventory/:id/wastage - Missing reason');
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('adjust_stock', {
+      p_stock_item_id: id,
+      p_quantity: -roundQuantity(quantity),
+      p_kind: 'wastage',
+      p_reason: reason.trim(),
+      p_staff_id: req.staff.id
+    });
+    if (error) throw error;
+    if (!data.length) {
+      console.log('POST /api/inventory/:id/wastage - Stock item not found');
+      return res.status(404).json({ error: 'Stock item not found' });
+    }
+    notifyLowStock(data);
+    const { change, ...stockItem } = data[0];
+    res.json({ ...stockItem, low: isLowStock(stockItem) });
+  } catch (error) {
+    console.error('POST /api/inventory/:id/wastage - Error:', error);
+    res.status(500).json({ error: `Failed to record wastage: ${error.message}` });
+  }
+});
+
+// Identifies an order line by item and chosen modifier options
+function orderLineKey(itemId, optionIds) {
+  return `${itemId}:${[...optionIds].map(String).sort().join(',')}`;
+}
+
+// Build order lines from the client's item ids, modifier option ids and quantities. Name, price,
+// category, GST rate and modifier prices always come from the menu, and selections are checked
+// against each group's min/max rules, with the outlet's overrides of price and availability.
+// Lines already on the order keep the price they were ordered at.
+// Returns { data } with the priced lines, or { error } with a message for a 400 response.
+async function buildOrderItems(items, outletId, existingItems = []) {
+  const itemIds = items.map(item => item.item_id).filter(id => id);
+  if (itemIds.length !== items.length) {
+    return { error: 'All items must have valid item IDs' };
+  }
+  if (items.some(item => item.quantity !== undefined && !(parseInt(item.quantity) > 0))) {
+    return { error: 'Item quantities must be positive whole numbers' };
+  }
+  if (items.some(item => item.modifiers !== undefined && !Array.isArray(item.modifiers))) {
+    return { error: 'Item modifiers must be an array of option IDs' };
+  }
+
+  const { data: menuItems, error } = await supabase
+    .from('menu_items')
+    .select(`id, name, price, category, is_available, gst_rate, availability_schedule, categories(gst_rate, availability_schedule), modifier_groups(${MODIFIER_GROUP_FIELDS})`)
+    .in('id', [...new Set(itemIds)]);
+  if (error) throw error;
+
+  const menuById = new Map((await applyOutletMenu(outletId, menuItems)).map(menuItem => [String(menuItem.id), menuItem]));
+  const orderedByKey = new Map(
+    (Array.isArray(existingItems) ? existingItems : []).map(item => [
+      orderLineKey(item.item_id, (item.modifiers || []).map(modifier => modifier.option_id)),
+      item
+    ])
+  );
+
+  const validItems = [];
+  for (const item of items) {
+    const optionIds = [...new Set((item.modifiers || []).map(String))];
+    const ordered = orderedByKey.get(orderLineKey(item.item_id, optionIds));
+    if (ordered) {
+      validItems.push({ ...ordered, quantity: parseInt(item.quantity) || 1, note: item.note || '' });
+      continue;
+    }
+
+    const menuItem = menuById.get(String(item.item_id));
+    if (!menuItem) {
+      return { error: 'One or more items are invalid' };
+    }
+    if (!menuItem.is_available) {
+      return { error: `${menuItem.name} is currently unavailable` };
+    }
+    const closedSchedule = [menuItem.availability_schedule, menuItem.categories?.availability_schedule]
+      .find(schedule => !isScheduleOpen(schedule));
+    if (closedSchedule) {
+      const hours = closedSchedule.map(window => `${window.start}-${window.end}`).join(', ');
+      return { error: `${menuItem.name} is not served right now (available ${hours})` };
+    }
+
+    const groups = menuItem.modifier_groups || [];
+    const optionsById = new Map();
+    groups.forEach(group => (group.modifier_options || []).forEach(option => {
+      optionsById.set(String(option.id), { ...option, group });
+    }));
+
+    const modifiers = [];
+    for (const optionId of optionIds) {
+      const option = optionsById.get(optionId);
+      if (!option) {
+        return { error: `Invalid modifier selected for ${menuItem.name}` };
+      }
+      if (!option.is_available) {
+        return { error: `${option.name} is currently unavailable for ${menuItem.name}` };
+      }
+      modifiers.push({
+        group_id: option.group.id,
+        group: option.group.name,
+        option_id: option.id,
+        name: option.name,
+        price_delta: parseFloat(option.price_delta) || 0
+      });
+    }
+
+    for (const group of groups) {
+      const selected = modifiers.filter(modifier => modifier.group_id === group.id).length;
+      if (selected < group.min_select || selected > group.max_select) {
+        const rule = group.min_select === group.max_select
+          ? `exactly ${group.min_select}`
+          : `between ${group.min_select} and ${group.max_select}`;
+        return { error: `Choose ${rule} ${group.name} option(s) for ${menuItem.name}` };
+      }
+    }
+
+    const basePrice = parseFloat(menuItem.price);
+    const unitPrice = modifiers.reduce((sum, modifier) => sum + modifier.price_delta, basePrice);
+    validItems.push({
+      item_id: menuItem.id,
+      name: menuItem.name,
+      base_price: basePrice,
+      price: Math.round(unitPrice * 100) / 100,
+      quantity: parseInt(item.quantity) || 1,
+      category: menuItem.category || '',
+      modifiers,
+      gst_rate: menuItem.gst_rate ?? menuItem.categories?.gst_rate ?? null,
+      note: item.note || ''
+    });
+  }
+
+  return { data: validItems };
+}
+
+const ORDER_FIELDS = 'id, order_number, created_at, outlet_id, table_id, session_id, customer_id, items, status, notes, payment_type, discounts, totals, total, ' +
+  'amount_paid, payment_status, ' +
+  'accepted_at, preparing_at, ready_at, served_at, paid_at, cancelled_at, cancel_reason, locked_at, version';
+
+// Every change to an order bumps its version (see bump_order_version); the version is the order's
+// ETag. Writes that send If-Match only go ahead against that version.
+function orderEtag(order) {
+  return `"${order.version}"`;
+}
+
+// The version an If-Match header asks for: null without one (or for *), undefined if malformed
+function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return null;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+  return match ? Number(match[1]) : undefined;
+}
+
+// Reject a write whose If-Match names another version of the order.
+// Sends the error response and returns false if the write must not go ahead.
+function checkOrderVersion(req, res, order, route) {
+  const expected = parseIfMatch(req.get('If-Match'));
+  if (expected === undefined) {
+    console.log(`${route} - Invalid If-Match`);
+    res.status(400).json({ error: 'If-Match must be an order ETag' });
+    return false;
+  }
+  if (expected !== null && expected !== order.version) {
+    console.log(`${route} - Stale version ${expected}, order is at ${order.version}`);
+    res.status(409).json({ error: 'Order was updated by someone else, please refresh', version: order.version });
+    return false;
+  }
+  return true;
+}
+
+// Order lifecycle: allowed status transitions. Payment goes through PATCH /api/orders/:id/pay.
+// Once the kitchen has started an order it can only be cancelled as a manager-approved void
+// (POST /api/orders/:id/void).
+const ORDER_TRANSITIONS = {
+  pending: ['accepted', 'cancelled'],
+  accepted: ['preparing', 'cancelled'],
+  preparing: ['ready'],
+  ready: ['served'],
+  served: [],
+  paid: [],
+  cancelled: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+const ACTIVE_ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready', 'served'];
+// Items can only be changed before the kitchen starts preparing
+const EDITABLE_ORDER_STATUSES = ['pending', 'accepted'];
+
+// Billing: GST (split equally into CGST and SGST), optional service charge and rounding,
+// configured on cafe_settings. Lines carry the GST rate frozen at order time; lines without
+// one fall back to the default rate. The outlet's loyalty rates come along for payments.
+const TAX_SETTINGS_FIELDS = 'default_gst_rate, prices_include_tax, service_charge_percent, rounding, ' +
+  'invoice_prefix, legal_name, gstin, address, phone, loyalty_points_per_100, loyalty_point_value, loyalty_min_redeem_points';
+const ROUNDING_MODES = ['none', 'nearest_rupee'];
+
+async function getTaxSettings(outletId) {
+  const { data, error } = await supabase.from('cafe_settings').select(TAX_SETTINGS_FIELDS).eq('outlet_id', outletId).single();
+  if (error) throw error;
+  return data;
+}
+
+function roundAmount(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+// Spread each discount over the lines it applies to (a menu item, a category or the whole
+// order) in proportion to their amounts. Returns the discount per line, never more than the line.
+function allocateDiscounts(lines, discounts) {
+  const allocated = lines.map(() => 0);
+  (discounts || []).forEach(discount => {
+    const matching = lines
+      .map((line, index) => ({ line, index }))
+      .filter(({ line }) =>
+        (discount.item_id == null || String(line.item_id) === String(discount.item_id)) &&
+        (discount.category == null || line.category === discount.category));
+    const available = matching.map(({ line, index }) => Math.max(0, line.amount - allocated[index]));
+    const amount = Math.min(parseFloat(discount.amount) || 0, available.reduce((sum, value) => sum + value, 0));
+    allocateAmount(amount, available).forEach((share, position) => {
+      allocated[matching[position].index] = roundAmount(allocated[matching[position].index] + share);
+    });
+  });
+  return allocated;
+}
+
+// Price breakdown for a set of order lines: discounts per line, taxable value per line,
+// CGST/SGST per rate, service charge (taxed at the default rate) and round-off to the payable total.
+function computeOrderTotals(items, settings, discounts = []) {
+  const includeTax = Boolean(settings.prices_include_tax);
+  const defaultRate = parseFloat(settings.default_gst_rate) || 0;
+  const taxableByRate = new Map();
+
+  const grossLines = (Array.isArray(items) ? items : []).map(item => ({
+    item_id: item.item_id,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity || 1,
+    unit_price: item.price || 0,
+    amount: roundAmount((item.price || 0) * (item.quantity || 1)),
+    gst_rate: item.gst_rate != null ? parseFloat(item.gst_rate) : defaultRate
+  }));
+  const lineDiscounts = allocateDiscounts(grossLines, discounts);
+
+  const lines = grossLines.map((line, index) => {
+    const discounted = line.amount - lineDiscounts[index];
+    const taxableAmount = roundAmount(includeTax ? discounted / (1 + line.gst_rate / 100) : discounted);
+    taxableByRate.set(line.gst_rate, (taxableByRate.get(line.gst_rate) || 0) + taxableAmount);
+    return { ...line, discount: lineDiscounts[index], taxable_amount: taxableAmount };
+  });
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.taxable_amount, 0));
+  const serviceCharge = roundAmount(subtotal * (parseFloat(settings.service_charge_percent) || 0) / 100);
+  if (serviceCharge) taxableByRate.set(defaultRate, (taxableByRate.get(defaultRate) || 0) + serviceCharge);
+
+  const taxes = [...taxableByRate.entries()]
+    .filter(([rate]) => rate > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxableAmount]) => {
+      const halfTax = roundAmount(taxableAmount * rate / 200);
+      return { rate, taxable_amount: roundAmount(taxableAmount), cgst: halfTax, sgst: halfTax };
+    });
+  const taxTotal = roundAmount(taxes.reduce((sum, tax) => sum + tax.cgst + tax.sgst, 0));
+
+  const exactTotal = roundAmount(subtotal + serviceCharge + taxTotal);
+  const total = settings.rounding === 'nearest_rupee' ? Math.round(exactTotal) : exactTotal;
+
+  return {
+    lines,
+    gross_amount: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+    discount_total: roundAmount(lineDiscounts.reduce((sum, discount) => sum + discount, 0)),
+    subtotal,
+    service_charge: serviceCharge,
+    taxes,
+    tax_total: taxTotal,
+    round_off: roundAmount(total - exactTotal),
+    total
+  };
+}
+
+// Totals stored on the order: the breakdown without per-line detail, except each line's
+// discount (by position in items) for the sales reports
+function orderTotalsColumns(items, settings, discounts = []) {
+  const { lines, ...totals } = computeOrderTotals(items, settings, discounts);
+  return { totals: { ...totals, line_discounts: lines.map(line => line.discount) }, total: totals.total };
+}
+
+// Indian financial year (April to March) of a date in the café's timezone, e.g. "26-27"
+function financialYear(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: CAFE_TIMEZONE, year: 'numeric', month: 'numeric' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  const startYear = Number(parts.month) >= 4 ? Number(parts.year) : Number(parts.year) - 1;
+  return `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`;
+}
+
+// Issue the invoice for a paid order. Numbers come from a per-financial-year series in the
+// issue_invoice database function, which locks the series so numbers are gap-free.
+// Issuing is idempotent: an order that already has an invoice gets it back.
+async function issueInvoice(order, settings) {
+  const [{ data: table }, { data: payments, error: paymentsError }] = await Promise.all([
+    supabase.from('tables').select('number').eq('id', order.table_id).maybeSingle(),
+    supabase.from('payments').select('payment_type, amount').eq('order_id', order.id).order('created_at')
+  ]);
+  if (paymentsError) throw paymentsError;
+  const { lines, ...totals } = computeOrderTotals(order.items, settings, order.discounts);
+  const invoiceData = {
+    seller: {
+      legal_name: settings.legal_name,
+      gstin: settings.gstin,
+      address: settings.address,
+      phone: settings.phone
+    },
+    order_number: order.order_number,
+    table_number: table?.number ?? null,
+    prices_include_tax: Boolean(settings.prices_include_tax),
+    lines: lines.map(line => ({
+      ...line,
+      cgst: roundAmount(line.taxable_amount * line.gst_rate / 200),
+      sgst: roundAmount(line.taxable_amount * line.gst_rate / 200)
+    })),
+    discounts: (order.discounts || []).filter(discount => discount.amount > 0)
+      .map(({ name, code, amount }) => ({ name, code, amount })),
+    totals,
+    payment_type: order.payment_type,
+    payments: payments || []
+  };
+
+  const { data, error } = await supabase.rpc('issue_invoice', {
+    p_order_id: order.id,
+    p_financial_year: financialYear(new Date(order.paid_at || Date.now())),
+    p_prefix: settings.invoice_prefix || 'INV',
+    p_data: invoiceData
+  });
+  if (error) throw error;
+  return data;
+}
+
+const INVOICE_FIELDS = 'id, order_id, outlet_id, invoice_number, financial_year, sequence, issued_at, data';
+
+// The invoice issued for an order, or null
+async function fetchInvoice(orderId) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select(INVOICE_FIELDS)
+    .eq('order_id', orderId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Printable tax invoice; browsers can save it as PDF from the print dialog
+function renderInvoiceHtml(invoice) {
+  const { seller, lines, totals } = invoice.data;
+  const money = amount => roundAmount(amount || 0).toFixed(2);
+  const issuedAt = new Date(invoice.issued_at).toLocaleString('en-IN', { timeZone: CAFE_TIMEZONE });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Tax Invoice ${escapeHtml(invoice.invoice_number)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 13px; max-width: 720px; margin: 24px auto; color: #222; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; }
+  .totals td { border: none; }
+  .grand td { font-weight: bold; font-size: 15px; border-top: 2px solid #222; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(seller.legal_name || 'Tax Invoice')}</h1>
+<div>${escapeHtml(seller.address)}</div>
+${seller.gstin ? `<div>GSTIN: ${escapeHtml(seller.gstin)}</div>` : ''}
+${seller.phone ? `<div>Phone: ${escapeHtml(seller.phone)}</div>` : ''}
+<p>
+  <strong>Tax Invoice ${escapeHtml(invoice.invoice_number)}</strong><br>
+  Date: ${escapeHtml(issuedAt)}<br>
+  Order #${escapeHtml(invoice.data.order_number)} &middot; Table ${escapeHtml(invoice.data.table_number ?? 'N/A')}
+</p>
+<table>
+  <thead>
+    <tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Discount</th><th class="num">Taxable</th><th class="num">GST %</th><th class="num">CGST</th><th class="num">SGST</th></tr>
+  </thead>
+  <tbody>
+    ${lines.map(line => `<tr><td>${escapeHtml(line.name)}</td><td class="num">${line.quantity}</td><td class="num">${money(line.unit_price)}</td><td class="num">${money(line.discount)}</td><td class="num">${money(line.taxable_amount)}</td><td class="num">${line.gst_rate}</td><td class="num">${money(line.cgst)}</td><td class="num">${money(line.sgst)}</td></tr>`).join('\n    ')}
+  </tbody>
+</table>
+<table class="totals">
+  ${(invoice.data.discounts || []).map(discount => `<tr><td>${escapeHtml(discount.name)}${discount.code ? ` (${escapeHtml(discount.code)})` : ''}</td><td class="num">-${money(discount.amount)}</td></tr>`).join('\n  ')}
+  <tr><td>Subtotal</td><td class="num">${money(totals.subtotal)}</td></tr>
+  ${totals.service_charge ? `<tr><td>Service charge</td><td class="num">${money(totals.service_charge)}</td></tr>` : ''}
+  ${totals.taxes.map(tax => `<tr><td>CGST @ ${tax.rate / 2}%</td><td class="num">${money(tax.cgst)}</td></tr><tr><td>SGST @ ${tax.rate / 2}%</td><td class="num">${money(tax.sgst)}</td></tr>`).join('\n  ')}
+  ${totals.round_off ? `<tr><td>Round off</td><td class="num">${money(totals.round_off)}</td></tr>` : ''}
+  <tr class="grand"><td>Total</td><td class="num">&#8377; ${money(totals.total)}</td></tr>
+  ${(invoice.data.payments || []).map(payment => `<tr><td>Paid by ${escapeHtml(payment.payment_type)}</td><td class="num">${money(payment.amount)}</td></tr>`).join('\n  ')}
+</table>
+</body>
+</html>`;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Weekday (0 = Sunday), minutes since midnight and YYYY-MM-DD date of a moment in the café's
+// (or another) timezone
+function cafeLocalTime(date = new Date(), timeZone = CAFE_TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+// orders.created_at and friends are TIMESTAMP columns holding UTC; PostgREST returns them without
+// an offset, which new Date() would read in the server's own timezone
+function parseDbTimestamp(value) {
+  return new Date(/(Z|[+-]\d\d:?\d\d)$/i.test(value) ? value : `${value}Z`);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Minutes since midnight of a 'HH:MM' or 'HH:MM:SS' time
+function parseTimeOfDay(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// Whether `minutes` falls in [start, end), where the window may wrap past midnight
+function isWithinTimeWindow(minutes, start, end) {
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+// Weekly schedules are lists of windows { days, start, end } in the café's timezone, used for
+// opening hours and for when menu items and categories can be ordered. days are 0 (Sunday) to
+// 6; a window without days applies every day. A window that ends before it starts runs past
+// midnight and belongs to the day it started. No schedule (null or []) means always open.
+function isScheduleOpen(schedule, now = new Date()) {
+  if (!Array.isArray(schedule) || !schedule.length) return true;
+  const local = cafeLocalTime(now);
+  const yesterday = (local.weekday + 6) % 7;
+  return schedule.some(window => {
+    const onDay = day => !window.days || !window.days.length || window.days.includes(day);
+    const from = parseTimeOfDay(window.start);
+    const to = parseTimeOfDay(window.end);
+    if (from <= to) return onDay(local.weekday) && local.minutes >= from && local.minutes < to;
+    return (onDay(local.weekday) && local.minutes >= from) || (onDay(yesterday) && local.minutes < to);
+  });
+}
+
+function formatTimeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD `days` after a YYYY-MM-DD date
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// When a schedule next opens after `local` (from cafeLocalTime), skipping dates for which
+// isClosedOn returns true. Returns { date, time } or null if it doesn't open within two weeks.
+function nextScheduleOpening(schedule, local, isClosedOn = () => false) {
+  const windows = Array.isArray(schedule) && schedule.length ? schedule : [{ start: '00:00', end: '00:00' }];
+  for (let offset = 0; offset <= 14; offset += 1) {
+    const date = addDays(local.date, offset);
+    if (isClosedOn(date)) continue;
+    const weekday = (local.weekday + offset) % 7;
+    const starts = windows
+      .filter(window => !window.days || !window.days.length || window.days.includes(weekday))
+      .map(window => parseTimeOfDay(window.start))
+      .filter(from => offset > 0 || from > local.minutes)
+      .sort((a, b) => a - b);
+    if (starts.length) return { date, time: formatTimeOfDay(starts[0]) };
+  }
+  return null;
+}
+
+// Validate a schedule from an admin payload. Returns { data } (null for no schedule) or { error }.
+function parseSchedule(schedule, field) {
+  if (schedule === null || (Array.isArray(schedule) && !schedule.length)) return { data: null };
+  if (!Array.isArray(schedule)) return { error: `${field} must be a list of { days, start, end } windows` };
+
+  const windows = [];
+  for (const window of schedule) {
+    const { days, start, end } = window || {};
+    if (days !== undefined && days !== null &&
+      (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: `${field} days must be a list of 0 (Sunday) to 6 (Saturday)` };
+    }
+    if (![start, end].every(time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) || start === end) {
+      return { error: `${field} windows need different start and end times as HH:MM` };
+    }
+    windows.push({ days: days && days.length ? [...new Set(days)].sort() : null, start, end });
+  }
+  return { data: windows };
+}
+
+// Closures: whole days (holidays, private events) when an outlet is shut whatever its hours say.
+// A closure without an outlet_id shuts every outlet.
+const CLOSURE_FIELDS = 'id, outlet_id, starts_on, ends_on, reason';
+
+// Whether an outlet takes customer orders now: its opening hours, minus any closure covering
+// today. Returns { open } plus, when closed, a customer-facing message and the next opening.
+async function getCafeStatus(outletId, now = new Date()) {
+  const local = cafeLocalTime(now);
+  const [{ data: settings, error }, { data: closures, error: closuresError }] = await Promise.all([
+    supabase.from('cafe_settings').select('opening_hours, outlets(is_active)').eq('outlet_id', outletId).single(),
+    supabase
+      .from('cafe_closures')
+      .select(CLOSURE_FIELDS)
+      .or(`outlet_id.is.null,outlet_id.eq.${outletId}`)
+      .gte('ends_on', local.date)
+      .order('starts_on')
+  ]);
+  if (error) throw error;
+  if (closuresError) throw closuresError;
+  if (!settings.outlets.is_active) {
+    return { open: false, reason: null, opens_at: null, message: 'This outlet is not taking orders.' };
+  }
+
+  const closureOn = date => closures.find(closure => closure.starts_on <= date && closure.ends_on >= date);
+  const closure = closureOn(local.date);
+  if (!closure && isScheduleOpen(settings.opening_hours, now)) return { open: true };
+
+  const opensAt = nextScheduleOpening(settings.opening_hours, local, closureOn);
+  const when = !opensAt ? null
+    : opensAt.date === local.date ? `today at ${opensAt.time}`
+      : opensAt.date === addDays(local.date, 1) ? `tomorrow at ${opensAt.time}`
+        : `on ${opensAt.date} at ${opensAt.time}`;
+  const closedFor = closure ? `The café is closed today${closure.reason ? ` (${closure.reason})` : ''}` : 'The café is closed right now';
+  return {
+    open: false,
+    reason: closure?.reason ?? null,
+    opens_at: opensAt,
+    message: when ? `${closedFor}. We open again ${when}.` : `${closedFor}.`
+  };
+}
+
+// Discounts: rules are percentage or flat amounts off the order, an item or a category;
+// buy-X-get-Y offers; or a fixed happy-hour price. Rules with a coupon_code only apply when the
+// code is entered; the others apply automatically while their validity window, weekdays and
+// daily time window include the order time. Applied discounts are stored on orders.discounts.
+const DISCOUNT_KINDS = ['percent', 'flat', 'buy_x_get_y', 'fixed_price'];
+const DISCOUNT_SCOPES = ['order', 'item', 'category'];
+const DISCOUNT_RULE_FIELDS = 'id, name, kind, scope, value, target_item_id, target_category, buy_quantity, get_quantity, ' +
+  'coupon_code, usage_limit, usage_count, min_order_amount, valid_from, valid_until, days_of_week, start_time, end_time, is_active';
+
+// Whether a rule's validity window, weekdays and daily time window include `now`
+function isDiscountRuleActive(rule, now = new Date()) {
+  if (!rule.is_active) return false;
+  if (rule.valid_from && new Date(rule.valid_from) > now) return false;
+  if (rule.valid_until && new Date(rule.valid_until) < now) return false;
+
+  const local = cafeLocalTime(now);
+  if (rule.days_of_week && rule.days_of_week.length && !rule.days_of_week.includes(local.weekday)) return false;
+  if (rule.start_time && rule.end_time && !isWithinTimeWindow(local.minutes, rule.start_time, rule.end_time)) return false;
+  return true;
+}
+
+// What a rule takes off these order lines (0 when it does not apply)
+function discountAmountForRule(rule, items) {
+  const gross = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+  if (rule.min_order_amount && gross < parseFloat(rule.min_order_amount)) return 0;
+
+  const matching = items.filter(item =>
+    rule.scope === 'order' ||
+    (rule.scope === 'item' && String(item.item_id) === String(rule.target_item_id)) ||
+    (rule.scope === 'category' && item.category === rule.target_category));
+  if (!matching.length) return 0;
+
+  const value = parseFloat(rule.value) || 0;
+  const matchingAmount = matching.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+  let amount = 0;
+
+  if (rule.kind === 'percent') {
+    amount = matchingAmount * Math.min(value, 100) / 100;
+  } else if (rule.kind === 'flat') {
+    // Flat off the order, or flat off every matching unit
+    amount = rule.scope === 'order'
+      ? value
+      : matching.reduce((sum, item) => sum + Math.min(value, item.price || 0) * (item.quantity || 1), 0);
+  } else if (rule.kind === 'buy_x_get_y') {
+    // In every group of buy + get units, the cheapest `get` units are free
+    const groupSize = (rule.buy_quantity || 1) + (rule.get_quantity || 1);
+    const unitPrices = matching
+      .flatMap(item => Array(item.quantity || 1).fill(item.price || 0))
+      .sort((a, b) => b - a);
+    for (let start = 0; start + groupSize <= unitPrices.length; start += groupSize) {
+      amount += unitPrices.slice(start + groupSize - (rule.get_quantity || 1), start + groupSize)
+        .reduce((sum, price) => sum + price, 0);
+    }
+  } else if (rule.kind === 'fixed_price') {
+    amount = matching.reduce((sum, item) => sum + Math.max(0, (item.price || 0) - value) * (item.quantity || 1), 0);
+  }
+
+  return roundAmount(Math.min(amount, matchingAmount));
+}
+
+// The discount entry stored on the order for a rule
+function discountFromRule(rule, items, source) {
+  return {
+    rule_id: rule.id,
+    name: rule.name,
+    kind: rule.kind,
+    source,
+    code: source === 'coupon' ? rule.coupon_code : null,
+    item_id: rule.scope === 'item' ? rule.target_item_id : null,
+    category: rule.scope === 'category' ? rule.target_category : null,
+    amount: discountAmountForRule(rule, items)
+  };
+}
+
+// Recompute a manual discount entry for the current lines
+function repriceManualDiscount(discount, items) {
+  const gross = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+  const amount = discount.kind === 'percent' ? gross * discount.value / 100 : discount.value;
+  return { ...discount, amount: roundAmount(Math.min(amount, gross)) };
+}
+
+// Work out an order's discounts: every automatic rule active now, the coupon (a new code, or the
+// one already on the order) and any manual discounts, all priced against the current lines.
+// Redeemed loyalty points are kept as they are (the order can't change while they are on it).
+// Returns { data: { discounts, couponRule } } or { error } with a message for a 400 response.
+async function resolveDiscounts(items, { couponCode = null, existing = [] } = {}) {
+  const currentCoupon = (existing || []).find(discount => discount.source === 'coupon');
+  const manual = (existing || []).filter(discount => discount.source === 'manual');
+  const loyalty = (existing || []).filter(discount => discount.source === 'loyalty');
+
+  const { data: autoRules, error } = await supabase
+    .from('discount_rules')
+    .select(DISCOUNT_RULE_FIELDS)
+    .eq('is_active', true)
+    .is('coupon_code', null);
+  if (error) throw error;
+
+  const discounts = autoRules
+    .filter(rule => isDiscountRuleActive(rule))
+    .map(rule => discountFromRule(rule, items, 'auto'))
+    .filter(discount => discount.amount > 0);
+
+  let couponRule = null;
+  if (couponCode) {
+    // Codes are stored upper-case; an exact match keeps % and _ from acting as wildcards
+    const { data: rule, error: couponError } = await supabase
+      .from('discount_rules')
+      .select(DISCOUNT_RULE_FIELDS)
+      .eq('coupon_code', String(couponCode).trim().toUpperCase())
+      .maybeSingle();
+    if (couponError) throw couponError;
+    if (!rule || !isDiscountRuleActive(rule)) {
+      return { error: 'Invalid or expired coupon code' };
+    }
+    if (rule.usage_limit != null && rule.usage_count >= rule.usage_limit) {
+      return { error: 'This coupon has reached its usage limit' };
+    }
+    const discount = discountFromRule(rule, items, 'coupon');
+    if (!discount.amount) {
+      return { error: 'This coupon does not apply to the items in your order' };
+    }
+    couponRule = rule;
+    discounts.push(discount);
+  } else if (currentCoupon) {
+    // A coupon already claimed by the order stays on it, repriced for the new lines
+    const { data: rule, error: couponError } = await supabase
+      .from('discount_rules')
+      .select(DISCOUNT_RULE_FIELDS)
+      .eq('id', currentCoupon.rule_id)
+      .maybeSingle();
+    if (couponError) throw couponError;
+    discounts.push(rule ? discountFromRule(rule, items, 'coupon') : { ...currentCoupon, amount: 0 });
+  }
+
+  manual.forEach(discount => discounts.push(repriceManualDiscount(discount, items)));
+  discounts.push(...loyalty);
+  return { data: { discounts, couponRule } };
+}
+
+// Count a coupon use; false when the usage limit was reached in the meantime
+async function claimCouponUse(ruleId) {
+  const { data, error } = await supabase.rpc('claim_discount_use', { p_rule_id: ruleId });
+  if (error) throw error;
+  return Boolean(data);
+}
+
+// Give back a coupon use (order cancelled or coupon removed)
+async function releaseCouponUse(ruleId) {
+  const { error } = await supabase.rpc('release_discount_use', { p_rule_id: ruleId });
+  if (error) throw error;
+}
+
+// Sensitive actions need a manager: either the caller is an admin, or the request carries an
+// admin's manager_username and manager_pin. Wrong PINs count towards the same lockout as logins
+// and are recorded in the audit log. Returns { data } with the approver or { status, error }.
+async function verifyManagerApproval(req) {
+  if (req.staff && req.staff.role === 'admin') {
+    return { data: { id: req.staff.id, name: req.staff.name } };
+  }
+
+  const { manager_username, manager_pin } = req.body;
+  if (!manager_username || !manager_pin) {
+    return { status: 403, error: 'Manager approval is required (manager_username and manager_pin)' };
+  }
+  const key = String(manager_username).toLowerCase();
+  if (isLockedOut(key)) {
+    return { status: 429, error: 'Too many failed attempts, try again later' };
+  }
+  const { data: manager, error } = await supabase
+    .from('staff')
+    .select('id, name, role, pin_hash, is_active')
+    .eq('username', key)
+    .maybeSingle();
+  if (error) throw error;
+  if (!manager || !manager.is_active || manager.role !== 'admin' || !verifyPin(manager_pin, manager.pin_hash)) {
+    recordLoginFailure(key);
+    await recordAudit(req, {
+      entity: 'manager_approval',
+      id: key,
+      action: 'failed',
+      after: { manager_username: key },
+      orderId: req.params.id ?? null
+    });
+    return { status: 403, error: 'Manager approval failed' };
+  }
+  loginFailures.delete(key);
+  return { data: { id: manager.id, name: manager.name } };
+}
+
+// Customer loyalty. Customers are identified by phone number when ordering or paying; paid
+// orders earn loyalty_points_per_100 points per 100 rupees of their total, and points are
+// redeemed as a discount worth loyalty_point_value each (both set per outlet).
+const CUSTOMER_FIELDS = 'id, phone, name, points_balance, created_at';
+const LOYALTY_ENTRY_FIELDS = 'id, customer_id, kind, points, reason, order_id, staff_id, created_at';
+const CUSTOMER_NAME_MAX_LENGTH = 100;
+
+// A phone number in E.164 form (+919876543210), or null if it is not one. Ten-digit numbers,
+// with or without a leading 0 or 91, are Indian mobile numbers.
+function normalizePhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const compact = String(value).replace(/[\s().-]/g, '');
+  if (/^(?:\+91|91|0)?[6-9]\d{9}$/.test(compact)) return `+91${compact.slice(-10)}`;
+  if (/^\+[1-9]\d{7,14}$/.test(compact)) return compact;
+  return null;
+}
+
+// The optional customer_phone and customer_name of an order or payment request.
+// Returns { data: { phone, name } } (data is null without a phone) or { error }.
+function parseCustomerInput(body) {
+  const { customer_phone, customer_name } = body;
+  if (customer_phone === undefined || customer_phone === null || customer_phone === '') return { data: null };
+
+  const phone = normalizePhone(customer_phone);
+  if (!phone) return { error: 'customer_phone must be a valid phone number' };
+  const name = typeof customer_name === 'string' ? customer_name.trim() : '';
+  if (name.length > CUSTOMER_NAME_MAX_LENGTH) {
+    return { error: `customer_name can be at most ${CUSTOMER_NAME_MAX_LENGTH} characters` };
+  }
+  return { data: { phone, name: name || null } };
+}
+
+// The customer with this phone number, registered on their first visit. A name fills in a
+// profile that does not have one yet.
+async function identifyCustomer({ phone, name }) {
+  const { data: existing, error } = await supabase
+    .from('customers')
+    .select(CUSTOMER_FIELDS)
+    .eq('phone', phone)
+    .maybeSingle();
+  if (error) throw error;
+  if (existing) {
+    if (!name || existing.name) return existing;
+    const { data, error: updateError } = await supabase
+      .from('customers')
+      .update({ name })
+      .eq('id', existing.id)
+      .select(CUSTOMER_FIELDS)
+      .single();
+    if (updateError) throw updateError;
+    return data;
+  }
+
+  const { data, error: insertError } = await supabase
+    .from('customers')
+    .insert([{ phone, name }])
+    .select(CUSTOMER_FIELDS)
+    .single();
+  if (insertError) {
+    // Registered by another request in the meantime
+    if (insertError.code === '23505') return identifyCustomer({ phone, name });
+    throw insertError;
+  }
+  return data;
+}
+
+// Add points to a customer's balance (negative points take them off) and record the entry.
+// Resolves the new balance, or null if the customer does not have the points.
+async function applyLoyaltyPoints(customerId, points, kind, { orderId = null, staffId = null, reason = null } = {}) {
+  const { data, error } = await supabase.rpc('apply_loyalty_points', {
+    p_customer_id: customerId,
+    p_points: points,
+    p_kind: kind,
+    p_order_id: orderId,
+    p_staff_id: staffId,
+    p_reason: reason
+  });
+  if (error) throw error;
+  return data;
+}
+
+// Points a paid total earns under an outlet's settings
+function loyaltyPointsEarned(total, settings) {
+  return Math.floor((parseFloat(total) || 0) * (parseFloat(settings.loyalty_points_per_100) || 0) / 100);
+}
+
+// The discount entry stored on the order for points redeemed on it
+function loyaltyDiscount(customerId, points, settings) {
+  const value = roundAmount(points * (parseFloat(settings.loyalty_point_value) || 0));
+  return {
+    rule_id: null,
+    name: `Loyalty points (${points})`,
+    kind: 'flat',
+    value,
+    source: 'loyalty',
+    code: null,
+    item_id: null,
+    category: null,
+    customer_id: customerId,
+    points,
+    amount: value
+  };
+}
+
+// Work out who is paying and what points they redeem, from customer_phone, customer_name and
+// redeem_points. The points are checked against the balance due, not yet taken off.
+// Returns { data: { customerId, discount } } (discount null when nothing is redeemed) or
+// { error } with a message for a 400 response.
+async function resolvePaymentLoyalty(body, order, settings, balance) {
+  const { data: customerInput, error: customerError } = parseCustomerInput(body);
+  if (customerError) return { error: customerError };
+  const redeemPoints = body.redeem_points ?? 0;
+  if (!Number.isInteger(redeemPoints) || redeemPoints < 0) {
+    return { error: 'redeem_points must be a whole number of points' };
+  }
+
+  const redeemed = (order.discounts || []).find(discount => discount.source === 'loyalty');
+  let customerId = order.customer_id;
+  if (customerInput) {
+    const customer = await identifyCustomer(customerInput);
+    if (redeemed && customer.id !== redeemed.customer_id) {
+      return { error: 'Another customer has redeemed points on this order' };
+    }
+    customerId = customer.id;
+  }
+  if (!redeemPoints) return { data: { customerId, discount: null } };
+
+  if (!customerId) return { error: 'Identify the customer by phone number to redeem points' };
+  if (redeemed) return { error: 'Points have already been redeemed on this order' };
+  if (!(parseFloat(settings.loyalty_point_value) > 0)) return { error: 'Points cannot be redeemed at this outlet' };
+  if (redeemPoints < settings.loyalty_min_redeem_points) {
+    return { error: `At least ${settings.loyalty_min_redeem_points} points must be redeemed at a time` };
+  }
+  const { data: holder, error: holderError } = await supabase
+    .from('customers')
+    .select('points_balance')
+    .eq('id', customerId)
+    .single();
+  if (holderError) throw holderError;
+  if (holder.points_balance < redeemPoints) return { error: 'The customer does not have enough points' };
+  const discount = loyaltyDiscount(customerId, redeemPoints, settings);
+  const { gross_amount, discount_total } = computeOrderTotals(order.items, settings, order.discounts);
+  if (discount.value > Math.min(balance, roundAmount(gross_amount - discount_total))) {
+    return { error: `${redeemPoints} points are worth ${discount.value.toFixed(2)}, more than is left to pay` };
+  }
+  return { data: { customerId, discount } };
+}
+
+// Record the customer and discounts of an order as it was read (its version is the guard), with
+// its totals repriced. Returns the updated order, or null if it changed since it was read.
+async function saveOrderCustomer(order, customerId, discounts, settings) {
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ customer_id: customerId, discounts, ...orderTotalsColumns(order.items, settings, discounts) })
+    .eq('id', order.id)
+    .in('status', ACTIVE_ORDER_STATUSES)
+    .eq('version', order.version)
+    .is('locked_at', null)
+    .select(ORDER_FIELDS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Redeem a customer's points on an order as it was read (its version is the guard): the points
+// are taken and the customer, discounts and repriced totals recorded in one transaction.
+// Returns the updated order, or null if it changed or the points were spent since it was read.
+async function redeemLoyaltyPoints(order, customerId, discount, settings, staffId) {
+  const discounts = [...(order.discounts || []), discount];
+  const { total, totals } = orderTotalsColumns(order.items, settings, discounts);
+  const { data, error } = await supabase.rpc('redeem_loyalty_points', {
+    p_order_id: order.id,
+    p_version: order.version,
+    p_customer_id: customerId,
+    p_points: discount.points,
+    p_discounts: discounts,
+    p_totals: totals,
+    p_total: total,
+    p_staff_id: staffId
+  });
+  if (error) throw error;
+  return data?.id ? data : null;
+}
+
+// Take the points redeemed on an order as it was read (its version is the guard) off the bill
+// and give them back, in one transaction. Returns the updated order, or null if it changed
+// since it was read.
+async function unredeemLoyaltyPoints(order, settings, staffId) {
+  const discounts = (order.discounts || []).filter(discount => discount.source !== 'loyalty');
+  const { total, totals } = orderTotalsColumns(order.items, settings, discounts);
+  const { data, error } = await supabase.rpc('unredeem_loyalty_points', {
+    p_order_id: order.id,
+    p_version: order.version,
+    p_discounts: discounts,
+    p_totals: totals,
+    p_total: total,
+    p_staff_id: staffId
+  });
+  if (error) throw error;
+  return data?.id ? data : null;
+}
+
+// Lines and discounts stay as they are while points are redeemed on an order, so the points
+// keep buying what they were redeemed for. Returns the message for a 400 response, or null.
+function redeemedPointsError(order) {
+  return (order.discounts || []).some(discount => discount.source === 'loyalty')
+    ? 'Points are redeemed on this order; take them off the bill before changing it'
+    : null;
+}
+
+// Live order events. Recent events are kept in memory so clients can resume with
+// Last-Event-ID; ids carry a per-process prefix so a restart forces clients to resync.
+const ORDER_EVENT_BUFFER_SIZE = 500;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const eventStreamId = crypto.randomBytes(4).toString('hex');
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+const recentOrderEvents = [];
+let orderEventSequence = 0;
+
+// Broadcast an order change (order.created, order.updated, order.status_changed, order.paid)
+function publishOrderEvent(type, order) {
+  publishEvent(type, { order });
+}
+
+// Broadcast an event. Events without an order (stock.low) only go to unfiltered, staff streams.
+function publishEvent(type, data) {
+  const event = {
+    id: `${eventStreamId}-${++orderEventSequence}`,
+    sequence: orderEventSequence,
+    type,
+    data: { ...data, at: new Date().toISOString() }
+  };
+  recentOrderEvents.push(event);
+  if (recentOrderEvents.length > ORDER_EVENT_BUFFER_SIZE) recentOrderEvents.shift();
+  orderEvents.emit('order', event);
+}
+
+// Check a customer may follow a table's events, or one order's: ?table_token= must be the signed
+// QR token of that table (EventSource can't send headers, so it comes in the query string).
+// Returns { data: table } or { status, error } for the error response.
+async function verifyEventStreamTable({ order_id, table_id, table_token }) {
+  if (!table_token) return { status: 401, error: 'Scan the QR code on your table to follow its orders' };
+
+  let tableId = table_id;
+  if (order_id) {
+    const { data: order, error } = await supabase.from('orders').select('table_id').eq('id', order_id).maybeSingle();
+    if (error) throw error;
+    if (!order) return { status: 404, error: 'Order not found' };
+    if (table_id && String(order.table_id) !== String(table_id)) return { status: 403, error: 'This order belongs to another table' };
+    tableId = order.table_id;
+  }
+
+  const { data: table, error } = await verifyTableToken(table_token, tableId);
+  if (error) return { status: 403, error };
+  return { data: table };
+}
+
+// Subscribe to order events as Server-Sent Events. Filter with ?order_id= or ?table_id=;
+// the unfiltered stream of all orders is for staff only, and customers follow their own table
+// with its QR token in ?table_token=.
+app.get('/api/events', async (req, res) => {
+  const { order_id, table_id } = req.query;
+  if (!order_id && !table_id && !req.staff) {
+    console.log('GET /api/events - Unfiltered stream requires staff');
+    return res.status(401).json({ error: 'Authentication required to follow all orders' });
+  }
+  if (!req.staff) {
+    try {
+      const { status, error } = await verifyEventStreamTable(req.query);
+      if (error) {
+        console.log('GET /api/events - Table check failed:', error);
+        return res.status(status).json({ error });
+      }
+    } catch (error) {
+      console.error('GET /api/events - Error:', error);
+      return res.status(500).json({ error: `Failed to follow orders: ${error.message}` });
+    }
+  }
+
+  const matches = event => {
+    // Staff at one outlet only follow that outlet
+    const outletId = event.data.order?.outlet_id ?? event.data.service_request?.tables?.outlet_id;
+    if (req.outletId && outletId !== undefined && outletId !== req.outletId) return false;
+    if (event.data.order) {
+      return (!order_id || String(event.data.order.id) === String(order_id)) &&
+        (!table_id || String(event.data.order.table_id) === String(table_id));
+    }
+    // A table's stream also follows its service requests
+    if (event.data.service_request) {
+      return !order_id && (!table_id || String(event.data.service_request.table_id) === String(table_id));
+    }
+    return !order_id && !table_id;
+  };
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay what the client missed while disconnected
+  const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+  if (lastEventId) {
+    const [streamId, sequence] = String(lastEventId).split('-');
+    const oldestSequence = recentOrderEvents.length ? recentOrderEvents[0].sequence : orderEventSequence + 1;
+    if (streamId !== eventStreamId || Number(sequence) < oldestSequence - 1) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available, refetch orders' })}\n\n`);
+    } else {
+      recentOrderEvents.filter(event => event.sequence > Number(sequence) && matches(event)).forEach(send);
+    }
+  }
+
+  const onEvent = event => {
+    if (matches(event)) send(event);
+  };
+  orderEvents.on('order', onEvent);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    orderEvents.off('order', onEvent);
+  });
+});
+
+// Idempotency-Key support. The first request with a key claims it; once it succeeds its response
+// is stored, and a retry with the same key gets that response back instead of running again.
+// A request that fails releases its key so it can be retried.
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A claim that never got a response (e.g. the server restarted mid-request) can be retaken after this
+const IDEMPOTENCY_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Claim an idempotency key. Returns null once claimed, or the row of the request already holding it.
+async function claimIdempotencyKey(claim) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { error } = await supabase.from('idempotency_keys').insert([claim]);
+    if (!error) return null;
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: existingError } = await supabase
+      .from('idempotency_keys')
+      .select('request_hash, status, response_status, response_body, etag, created_at')
+      .eq('scope', claim.scope)
+      .eq('key', claim.key)
+      .maybeSingle();
+    if (existingError) throw existingError;
+    if (!existing) continue;
+
+    const age = Date.now() - new Date(existing.created_at).getTime();
+    const abandoned = existing.status === 'pending' && age > IDEMPOTENCY_CLAIM_TIMEOUT_MS;
+    if (age < IDEMPOTENCY_KEY_TTL_MS && !abandoned) return existing;
+
+    // Expired or abandoned; clear it and claim it afresh
+    const { error: deleteError } = await supabase
+      .from('idempotency_keys')
+      .delete()
+      .eq('scope', claim.scope)
+      .eq('key', claim.key)
+      .eq('created_at', existing.created_at);
+    if (deleteError) throw deleteError;
+  }
+  throw new Error('Idempotency-Key is being claimed by another request');
+}
+
+// Who an idempotent request comes from, so one caller never gets another's stored response:
+// the staff member, or for customers the table of their QR token (or the table they name, or
+// their address when they name none)
+function idempotencyCaller(req) {
+  if (req.staff) return `staff:${req.staff.id}`;
+  const tablePayload = req.body?.table_token ? verifyToken(req.body.table_token, { ignoreExpiry: true }) : null;
+  if (tablePayload?.typ === 'table') return `table:${tablePayload.tid}`;
+  if (req.body?.table_id) return `table:${req.body.table_id}`;
+  return `ip:${req.ip}`;
+}
+
+// Route middleware: replay the stored response for a repeated Idempotency-Key. Keys are scoped
+// to the caller, method and path, and a key can't be reused with a different body.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  const route = `${req.method} ${req.route.path}`;
+  if (!key.trim() || key.length > 255) {
+    console.log(`${route} - Invalid Idempotency-Key`);
+    return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 characters' });
+  }
+
+  try {
+    const claim = {
+      key,
+      scope: `${idempotencyCaller(req)} ${req.method} ${req.path}`,
+      request_hash: crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex')
+    };
+    const existing = await claimIdempotencyKey(claim);
+    if (existing) {
+      if (existing.request_hash !== claim.request_hash) {
+        console.log(`${route} - Idempotency-Key reused for a different request`);
+        return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status === 'pending') {
+        console.log(`${route} - Idempotent request still in progress`);
+        return res.status(409).json({ error: 'This request is still being processed, retry shortly' });
+      }
+      console.log(`${route} - Replaying stored response`);
+      if (existing.etag) res.set('ETag', existing.etag);
+      return res.set('Idempotent-Replayed', 'true').status(existing.response_status).json(existing.response_body);
+    }
+
+    // Keep the response once the route sends it
+    const json = res.json.bind(res);
+    res.json = body => {
+      const keys = supabase.from('idempotency_keys');
+      const stored = res.statusCode < 300
+        ? keys.update({ status: 'completed', response_status: res.statusCode, response_body: body, etag: res.get('ETag') ?? null })
+        : keys.delete();
+      stored
+        .eq('scope', claim.scope)
+        .eq('key', key)
+        .then(({ error }) => {
+          if (error) console.error(`${route} - Failed to store idempotent response:`, error);
+        });
+      return json(body);
+    };
+    next();
+  } catch (error) {
+    console.error(`${route} - Error:`, error);
+    res.status(500).json({ error: `Failed to check Idempotency-Key: ${error.message}` });
+  }
+}
+
+// Create order
+app.post('/api/orders', idempotent, async (req, res) => {
+  const { items, notes, table_token, coupon_code } = req.body;
+  const isStaffRequest = Boolean(req.staff);
+  let { table_id } = req.body;
+
+  if ((!table_id && !(table_token && !isStaffRequest)) || !items || !Array.isArray(items)) {
+    console.log('POST /api/orders - Invalid input');
+    return res.status(400).json({ error: 'Table ID (or table QR code) and items array are required' });
+  }
+  // Customers can give their phone number to collect loyalty points
+  const { data: customerInput, error: customerError } = parseCustomerInput(req.body);
+  if (customerError) {
+    console.log('POST /api/orders - Invalid customer:', customerError);
+    return res.status(400).json({ error: customerError });
+  }
+
+  try {
+    // Customers prove they are at the table with its QR code or their location
+    if (!isStaffRequest) {
+      const { data: presence, status, error: presenceError } = await verifyCustomerPresence(req.body, table_id);
+      if (presenceError) {
+        console.log('POST /api/orders - Presence check failed:', presenceError);
+        return res.status(status).json({ error: presenceError });
+      }
+      table_id = presence.table_id;
+
+      const cafeStatus = await getCafeStatus(presence.outlet_id);
+      if (!cafeStatus.open) {
+        console.log('POST /api/orders - Cafe is closed');
+        return res.status(403).json({ error: cafeStatus.message, closed: true, opens_at: cafeStatus.opens_at });
+      }
+    }
+
+    // Validate table_id; staff can only order for tables at their outlet
+    const { data: table, error: tableError } = await supabase
+      .from('tables')
+      .select('id, outlet_id')
+      .eq('id', table_id)
+      .single();
+    if (tableError || !table || (req.outletId && table.outlet_id !== req.outletId)) {
+      console.log('POST /api/orders - Invalid table:', tableError?.message);
+      return res.status(400).json({ error: 'Invalid table ID' });
+    }
+
+    // Price items from the menu
+    const { data: validItems, error: itemsError } = await buildOrderItems(items, table.outlet_id);
+    if (itemsError) {
+      console.log('POST /api/orders - Invalid items:', itemsError);
+      return res.status(400).json({ error: itemsError });
+    }
+    const { data: stockNeeded, error: stockError } = await checkOrderStock(validItems);
+    if (stockError) {
+      console.log('POST /api/orders - Out of stock:', stockError);
+      return res.status(400).json({ error: stockError });
+    }
+
+    // Apply automatic offers and the coupon, if any
+    const { data: discountResult, error: discountError } = await resolveDiscounts(validItems, { couponCode: coupon_code });
+    if (discountError) {
+      console.log('POST /api/orders - Discount error:', discountError);
+      return res.status(400).json({ error: discountError });
+    }
+    const { discounts, couponRule } = discountResult;
+    if (couponRule && !(await claimCouponUse(couponRule.id))) {
+      console.log('POST /api/orders - Coupon usage limit reached');
+      return res.status(400).json({ error: 'This coupon has reached its usage limit' });
+    }
+
+    const session = await openTableSession(table_id);
+    const settings = await getTaxSettings(table.outlet_id);
+    const { data: created, error } = await supabase
+      .from('orders')
+      .insert([{
+        outlet_id: table.outlet_id,
+        table_id,
+        session_id: session.id,
+        items: validItems,
+        status: 'pending',
+        notes: notes || null,
+        discounts,
+        ...orderTotalsColumns(validItems, settings, discounts)
+      }])
+      .select(ORDER_FIELDS)
+      .single();
+    if (error) {
+      if (couponRule) await releaseCouponUse(couponRule.id);
+      await closeSessionIfSettled(session.id);
+      throw error;
+    }
+
+    // Stock is checked again as it is taken; if other orders took it in the meantime this one is
+    // withdrawn. Any other failure leaves the order standing (stock can be adjusted).
+    let stockTaken = true;
+    try {
+      if ((await getStockDeductionMode(created.outlet_id)) === 'order') {
+        stockTaken = await takeOrderStock(created.id, stockNeeded, req.staff?.id);
+      }
+    } catch (stockDeductError) {
+      console.error('POST /api/orders - Failed to deduct stock:', stockDeductError);
+    }
+    if (!stockTaken) {
+      const { error: deleteError } = await supabase.from('orders').delete().eq('id', created.id);
+      if (deleteError) throw deleteError;
+      if (couponRule) await releaseCouponUse(couponRule.id);
+      await closeSessionIfSettled(session.id);
+      const { error: shortError } = await checkOrderStock(validItems);
+      console.log('POST /api/orders - Out of stock:', shortError);
+      return res.status(400).json({ error: shortError || 'Not enough stock for this order' });
+    }
+
+    // The customer is registered once the order stands. Only staff can record their name: a
+    // customer can type any phone number.
+    let data = created;
+    if (customerInput) {
+      try {
+        const customer = await identifyCustomer({ phone: customerInput.phone, name: isStaffRequest ? customerInput.name : null });
+        data = (await saveOrderCustomer(created, customer.id, created.discounts, settings)) ?? created;
+      } catch (customerSaveError) {
+        console.error('POST /api/orders - Failed to record customer:', customerSaveError);
+      }
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'create', after: data });
+    publishOrderEvent('order.created', data);
+    queueKitchenTickets(data)
+      .then(processPrintQueue)
+      .catch(printError => console.error('POST /api/orders - Failed to queue KOT:', printError));
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('POST /api/orders - Error:', error);
+    res.status(500).json({ error: `Failed to create order: ${error.message}` });
+  }
+});
+
+// Update order items
+app.patch('/api/orders/:id', idempotent, async (req, res) => {
+  const { id } = req.params;
+  const { items, notes } = req.body;
+
+  if (!items || !Array.isArray(items)) {
+    console.log('PATCH /api/orders/:id - Invalid input');
+    return res.status(400).json({ error: 'Non-empty items array is required' });
+  }
+
+  try {
+    // Check if order exists and can still be edited
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`${ORDER_FIELDS}, stock_usage`)
+      .eq('id', id)
+      .single();
+    if (orderError || !order) {
+      console.log('PATCH /api/orders/:id - Order not found:', orderError?.message);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    // Customers pass the same presence check as for ordering, for the order's own table
+    if (!req.staff) {
+      const { status, error: presenceError } = await verifyCustomerPresence(req.body, order.table_id);
+      if (presenceError) {
+        console.log('PATCH /api/orders/:id - Presence check failed:', presenceError);
+        return res.status(status).json({ error: presenceError });
+      }
+    }
+    if (!checkOrderVersion(req, res, order, 'PATCH /api/orders/:id')) return;
+    if (!EDITABLE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`PATCH /api/orders/:id - Cannot update ${order.status} order`);
+      return res.status(400).json({ error: `Can only update ${EDITABLE_ORDER_STATUSES.join(' or ')} orders` });
+    }
+    if (parseFloat(order.amount_paid) > 0) {
+      console.log('PATCH /api/orders/:id - Order has payments');
+      return res.status(400).json({ error: 'Cannot change items after a payment has been taken' });
+    }
+    if (redeemedPointsError(order)) {
+      console.log('PATCH /api/orders/:id - Points redeemed');
+      return res.status(400).json({ error: redeemedPointsError(order) });
+    }
+
+    // Price items from the menu
+    const { data: validItems, error: itemsError } = await buildOrderItems(items, order.outlet_id, order.items);
+    if (itemsError) {
+      console.log('PATCH /api/orders/:id - Invalid items:', itemsError);
+      return res.status(400).json({ error: itemsError });
+    }
+    // Lines already went to the kitchen with the order; taking them off is a void
+    const removed = addedOrderItems(order.items || [], validItems);
+    if (removed.length) {
+      console.log('PATCH /api/orders/:id - Items would be removed');
+      return res.status(400).json({
+        error: `${removed.map(item => `${item.quantity} x ${item.name}`).join(', ')} already sent to the kitchen; void them with manager approval instead`
+      });
+    }
+    // Stock the order already holds counts towards its new lines
+    const { data: stockNeeded, error: stockError } = await checkOrderStock(validItems, order.stock_usage || {});
+    if (stockError) {
+      console.log('PATCH /api/orders/:id - Out of stock:', stockError);
+      return res.status(400).json({ error: stockError });
+    }
+
+    // Reprice offers, the order's coupon and manual discounts for the new lines
+    const { data: discountResult } = await resolveDiscounts(validItems, { existing: order.discounts });
+    const { discounts } = discountResult;
+
+    // Orders that took their stock when placed take the stock of their new lines first, checked
+    // against the stock on hand as it is taken
+    if (order.stock_usage && !(await takeOrderStock(id, stockNeeded, req.staff?.id))) {
+      const { error: shortError } = await checkOrderStock(validItems, order.stock_usage);
+      console.log('PATCH /api/orders/:id - Out of stock:', shortError);
+      return res.status(400).json({ error: shortError || 'Not enough stock for this order' });
+    }
+
+    const settings = await getTaxSettings(order.outlet_id);
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ items: validItems, notes: notes || null, discounts, ...orderTotalsColumns(validItems, settings, discounts) })
+      .eq('id', id)
+      .in('status', EDITABLE_ORDER_STATUSES)
+      .eq('amount_paid', 0)
+      .eq('version', order.version)
+      .is('locked_at', null)
+      .select(ORDER_FIELDS)
+      .maybeSingle();
+    if (error || !data) {
+      // The lines did not change, so neither does the stock they hold
+      if (order.stock_usage) {
+        await applyOrderStock(id, order.stock_usage, 'cancel', req.staff?.id)
+          .catch(stockError => console.error('PATCH /api/orders/:id - Failed to give back stock:', stockError));
+      }
+      if (error) throw error;
+      console.log('PATCH /api/orders/:id - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'update', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    queueKitchenTickets(data, order.items)
+      .then(processPrintQueue)
+      .catch(printError => console.error('PATCH /api/orders/:id - Failed to queue KOT:', printError));
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/orders/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update order: ${error.message}` });
+  }
+});
+
+// Get order by ID
+app.get('/api/orders/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select(`${ORDER_FIELDS}, tables(number)`)
+      .eq('id', id)
+      .single();
+    if (error) throw error;
+    if (!data) {
+      console.log('GET /api/orders/:id - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/orders/:id - Error:', error);
+    res.status(500).json({ error: `Failed to fetch order: ${error.message}` });
+  }
+});
+
+// Move order through the kitchen/floor lifecycle, or cancel it with a reason
+app.patch('/api/orders/:id/status', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  if (!ORDER_STATUSES.includes(status) || status === 'paid') {
+    console.log('PATCH /api/orders/:id/status - Invalid status');
+    return res.status(400).json({ error: 'Valid status is required (accepted, preparing, ready, served, cancelled)' });
+  }
+  if (status === 'cancelled' && (typeof reason !== 'string' || !reason.trim())) {
+    console.log('PATCH /api/orders/:id/status - Missing cancellation reason');
+    return res.status(400).json({ error: 'A reason is required to cancel an order' });
+  }
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .single();
+    if (orderError || !order) {
+      console.log('PATCH /api/orders/:id/status - Order not found:', orderError?.message);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!checkOrderVersion(req, res, order, 'PATCH /api/orders/:id/status')) return;
+    if (status === 'cancelled' && !ORDER_TRANSITIONS[order.status]?.includes(status) && ACTIVE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`PATCH /api/orders/:id/status - Cannot cancel ${order.status} order without a void`);
+      return res.status(400).json({ error: 'The kitchen has started this order; void it with manager approval instead' });
+    }
+    if (!ORDER_TRANSITIONS[order.status]?.includes(status)) {
+      console.log(`PATCH /api/orders/:id/status - Invalid transition ${order.status} -> ${status}`);
+      return res.status(400).json({ error: `Cannot change order from ${order.status} to ${status}` });
+    }
+    if (status === 'cancelled' && parseFloat(order.amount_paid) > 0) {
+      console.log('PATCH /api/orders/:id/status - Order has payments');
+      return res.status(400).json({ error: 'Order has payments; settle it and refund instead' });
+    }
+
+    const updates = { status, [`${status}_at`]: new Date().toISOString() };
+    if (status === 'cancelled') updates.cancel_reason = reason.trim();
+
+    // Only apply the transition if nobody moved the order in the meantime (or paid towards it,
+    // for a cancellation)
+    let query = supabase
+      .from('orders')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', order.status)
+      .is('locked_at', null);
+    if (status === 'cancelled') query = query.eq('amount_paid', 0);
+    const { data, error } = await query
+      .select(ORDER_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('PATCH /api/orders/:id/status - Order status changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    if (status === 'cancelled') await releaseCancelledOrder(data, req.staff.id);
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'status', before: order, after: data });
+    publishOrderEvent('order.status_changed', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/orders/:id/status - Error:', error);
+    res.status(500).json({ error: `Failed to update order status: ${error.message}` });
+  }
+});
+
+const PAYMENT_TYPES = ['UPI', 'Cash', 'Bank', 'Card'];
+const PAYMENT_FIELDS = 'id, order_id, amount, payment_type, tendered, change, reference, staff_id, shift_id, created_at';
+
+// Split an amount into shares proportional to `weights`, in whole paise, so the shares
+// always add up to exactly the amount (the remainder goes to the largest shares first)
+function allocateAmount(amount, weights) {
+  const totalPaise = Math.round(amount * 100);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!weightSum) return weights.map(() => 0);
+
+  const exact = weights.map(weight => totalPaise * weight / weightSum);
+  const shares = exact.map(Math.floor);
+  let remainder = totalPaise - shares.reduce((sum, share) => sum + share, 0);
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        shares[index] += 1;
+        remainder -= 1;
+      }
+    });
+  return shares.map(share => share / 100);
+}
+
+// Validate the tenders of a payment request against the outstanding balance.
+// A bare payment_type settles the whole balance in that tender; with nothing left to pay (a bill
+// discounts or points covered entirely) the order settles with no tender at all.
+// Returns { data } with payment rows to insert, or { error } with a message for a 400 response.
+function parsePayments(body, balance) {
+  if (balance <= 0 && !(Array.isArray(body.payments) && body.payments.length)) return { data: [] };
+  const requested = Array.isArray(body.payments)
+    ? body.payments
+    : body.payment_type ? [{ payment_type: body.payment_type, amount: balance, tendered: body.tendered }] : null;
+  if (!requested || !requested.length) {
+    return { error: `Valid payment type is required (${PAYMENT_TYPES.join(', ')})` };
+  }
+
+  const payments = [];
+  for (const payment of requested) {
+    if (!PAYMENT_TYPES.includes(payment.payment_type)) {
+      return { error: `Valid payment type is required (${PAYMENT_TYPES.join(', ')})` };
+    }
+    const amount = roundAmount(parseFloat(payment.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: 'Each payment needs a positive amount' };
+    }
+
+    let tendered = null;
+    let change = 0;
+    if (payment.tendered !== undefined && payment.tendered !== null) {
+      if (payment.payment_type !== 'Cash') return { error: 'Only cash payments can have a tendered amount' };
+      tendered = roundAmount(parseFloat(payment.tendered));
+      if (!Number.isFinite(tendered) || tendered < amount) {
+        return { error: 'Cash tendered must cover the payment amount' };
+      }
+      change = roundAmount(tendered - amount);
+    }
+    payments.push({ payment_type: payment.payment_type, amount, tendered, change, reference: payment.reference || null });
+  }
+
+  const paying = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  if (paying > balance) {
+    return { error: `Payments of ${paying.toFixed(2)} exceed the balance of ${balance.toFixed(2)}` };
+  }
+  return { data: payments };
+}
+
+// Record tenders against an order as it was read (its version then is the guard). Once the
+// payments cover the total the order becomes paid, gets its invoice, its customer (if any) earns
+// loyalty points and a receipt is queued, and its table session closes if nothing else is open on it.
+// Payments are booked to the open cash drawer shift.
+// Returns null if the order changed since it was read, otherwise
+// { order, payments, fullyPaid, invoice, pointsEarned }.
+async function applyOrderPayment(order, payments, { staffId, shiftId }, settings) {
+  const totalsColumns = orderTotalsColumns(order.items, settings, order.discounts);
+  const amountPaid = parseFloat(order.amount_paid) || 0;
+  const newAmountPaid = roundAmount(amountPaid + payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const fullyPaid = newAmountPaid >= totalsColumns.total;
+  const tenderTypes = [...new Set(payments.map(payment => payment.payment_type))];
+  const updates = { amount_paid: newAmountPaid, payment_status: fullyPaid ? 'paid' : 'partially_paid', ...totalsColumns };
+  if (fullyPaid) {
+    const { data: earlier, error: earlierError } = await supabase
+      .from('payments')
+      .select('payment_type')
+      .eq('order_id', order.id);
+    if (earlierError) throw earlierError;
+    const allTypes = [...new Set([...earlier.map(payment => payment.payment_type), ...tenderTypes])];
+    Object.assign(updates, {
+      status: 'paid',
+      // No tender at all when points (or discounts) covered the whole bill
+      payment_type: allTypes.length > 1 ? 'Split' : allTypes[0] ?? null,
+      paid_at: new Date().toISOString()
+    });
+  }
+
+  // Only apply if no other payment or edit landed since the order was read
+  const { data, error } = await supabase
+    .from('orders')
+    .update(updates)
+    .eq('id', order.id)
+    .in('status', ACTIVE_ORDER_STATUSES)
+    .eq('version', order.version)
+    .is('locked_at', null)
+    .select(ORDER_FIELDS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  const { data: recorded, error: recordError } = payments.length
+    ? await supabase
+      .from('payments')
+      .insert(payments.map(payment => ({ ...payment, order_id: order.id, staff_id: staffId, shift_id: shiftId })))
+      .select(PAYMENT_FIELDS)
+    : { data: [], error: null };
+  if (recordError) {
+    // Put the order back the way it was so the payment can be retried, unless it has changed again
+    const { error: rollbackError } = await supabase
+      .from('orders')
+      .update({
+        amount_paid: amountPaid,
+        payment_status: order.payment_status,
+        payment_type: order.payment_type,
+        status: order.status,
+        paid_at: order.paid_at
+      })
+      .eq('id', order.id)
+      .eq('version', data.version);
+    if (rollbackError) console.error(`Payments - Failed to roll back order ${order.id}:`, rollbackError);
+    throw recordError;
+  }
+
+  if (!fullyPaid) {
+    publishOrderEvent('order.updated', data);
+    return { order: data, payments: recorded, fullyPaid, invoice: null, pointsEarned: 0 };
+  }
+
+  // The order is paid either way; a missing invoice is issued with POST /api/orders/:id/invoice
+  let invoice = null;
+  try {
+    invoice = await issueInvoice(data, settings);
+  } catch (invoiceError) {
+    console.error(`Payments - Failed to issue invoice for order ${order.id}:`, invoiceError);
+  }
+
+  // The order has been served, so its stock is recorded even if that takes a count below zero
+  try {
+    if ((await getStockDeductionMode(order.outlet_id)) === 'payment') {
+      await applyOrderStock(order.id, stockUsage(data.items, await loadRecipes(data.items)), 'order', staffId);
+    }
+  } catch (stockError) {
+    console.error(`Payments - Failed to deduct stock for order ${order.id}:`, stockError);
+  }
+
+  let pointsEarned = data.customer_id ? loyaltyPointsEarned(data.total, settings) : 0;
+  if (pointsEarned) {
+    try {
+      await applyLoyaltyPoints(data.customer_id, pointsEarned, 'earn', { orderId: order.id, staffId });
+    } catch (loyaltyError) {
+      console.error(`Payments - Failed to award loyalty points for order ${order.id}:`, loyaltyError);
+      pointsEarned = 0;
+    }
+  }
+
+  publishOrderEvent('order.paid', data);
+  queueReceipt(data, invoice)
+    .then(processPrintQueue)
+    .catch(printError => console.error(`Payments - Failed to queue receipt for order ${order.id}:`, printError));
+  if (data.session_id) await closeSessionIfSettled(data.session_id);
+  return { order: data, payments: recorded, fullyPaid, invoice, pointsEarned };
+}
+
+// Audit a payment made with applyOrderPayment: the order's change and each tender taken
+async function auditOrderPayment(req, order, result) {
+  await recordAudit(req, { entity: 'order', id: order.id, action: 'pay', before: order, after: result.order });
+  for (const payment of result.payments) {
+    await recordAudit(req, { entity: 'payment', id: payment.id, orderId: order.id, action: 'create', after: payment });
+  }
+}
+
+// Take one or more payments against an order. The order becomes paid (and gets its invoice)
+// once the payments cover the total; until then it is partially paid. The customer can be
+// identified with customer_phone (and customer_name), and redeem_points takes their points off
+// the bill before the payments are counted.
+app.patch('/api/orders/:id/pay', requireRole('waiter', 'cashier', 'admin'), idempotent, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .single();
+    if (orderError || !order) {
+      console.log('PATCH /api/orders/:id/pay - Order not found:', orderError?.message);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!checkOrderVersion(req, res, order, 'PATCH /api/orders/:id/pay')) return;
+    if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`PATCH /api/orders/:id/pay - Order is ${order.status}`);
+      return res.status(400).json({ error: `Cannot pay for a ${order.status} order` });
+    }
+
+    const settings = await getTaxSettings(order.outlet_id);
+    const { total } = orderTotalsColumns(order.items, settings, order.discounts);
+    let balance = roundAmount(total - (parseFloat(order.amount_paid) || 0));
+
+    const { data: loyalty, error: loyaltyError } = await resolvePaymentLoyalty(req.body, order, settings, balance);
+    if (loyaltyError) {
+      console.log('PATCH /api/orders/:id/pay - Loyalty error:', loyaltyError);
+      return res.status(400).json({ error: loyaltyError });
+    }
+    const discounts = loyalty.discount ? [...(order.discounts || []), loyalty.discount] : order.discounts;
+    if (loyalty.discount) {
+      balance = roundAmount(orderTotalsColumns(order.items, settings, discounts).total - (parseFloat(order.amount_paid) || 0));
+    }
+
+    const { data: payments, error: paymentsError } = parsePayments(req.body, balance);
+    if (paymentsError) {
+      console.log('PATCH /api/orders/:id/pay - Invalid payments:', paymentsError);
+      return res.status(400).json({ error: paymentsError });
+    }
+
+    const shift = await getOpenShift(order.outlet_id);
+    if (!shift) {
+      console.log('PATCH /api/orders/:id/pay - No open shift');
+      return res.status(400).json({ error: 'Open the cash drawer (start a shift) before taking payments' });
+    }
+
+    // The customer and their redeemed points go on the bill first
+    let billed = order;
+    if (loyalty.discount) {
+      billed = await redeemLoyaltyPoints(order, loyalty.customerId, loyalty.discount, settings, req.staff.id);
+    } else if (loyalty.customerId !== order.customer_id) {
+      billed = await saveOrderCustomer(order, loyalty.customerId, discounts, settings);
+    }
+    if (!billed) {
+      console.log('PATCH /api/orders/:id/pay - Order or points changed during payment');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    let result = null;
+    try {
+      result = await applyOrderPayment(billed, payments, { staffId: req.staff.id, shiftId: shift.id }, settings);
+    } finally {
+      // Points redeemed for a payment that did not go through are given back. If the order
+      // changed in the meantime they stay on the bill until taken off with DELETE .../loyalty.
+      if (!result && loyalty.discount) {
+        await unredeemLoyaltyPoints(billed, settings, req.staff.id)
+          .catch(returnError => console.error('PATCH /api/orders/:id/pay - Failed to return points:', returnError));
+      }
+    }
+    if (!result) {
+      console.log('PATCH /api/orders/:id/pay - Order changed during payment');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    await auditOrderPayment(req, order, result);
+    const { order: data, payments: recorded, invoice, pointsEarned } = result;
+    const changeDue = roundAmount(recorded.reduce((sum, payment) => sum + (parseFloat(payment.change) || 0), 0));
+    res.set('ETag', orderEtag(data));
+    res.json({
+      ...data,
+      payments: recorded,
+      balance_due: roundAmount(Math.max(0, parseFloat(data.total) - parseFloat(data.amount_paid))),
+      change_due: changeDue,
+      invoice_number: invoice?.invoice_number ?? null,
+      points_earned: pointsEarned
+    });
+  } catch (error) {
+    console.error('PATCH /api/orders/:id/pay - Error:', error);
+    res.status(500).json({ error: `Failed to take payment: ${error.message}` });
+  }
+});
+
+// Take the points redeemed on an open order off the bill and give them back to the customer
+app.delete('/api/orders/:id/loyalty', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (orderError) throw orderError;
+    if (!order) {
+      console.log('DELETE /api/orders/:id/loyalty - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!checkOrderVersion(req, res, order, 'DELETE /api/orders/:id/loyalty')) return;
+    if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`DELETE /api/orders/:id/loyalty - Order is ${order.status}`);
+      return res.status(400).json({ error: `Cannot change the bill of a ${order.status} order` });
+    }
+    if (!redeemedPointsError(order)) {
+      console.log('DELETE /api/orders/:id/loyalty - No points redeemed');
+      return res.status(404).json({ error: 'No points are redeemed on this order' });
+    }
+
+    const data = await unredeemLoyaltyPoints(order, await getTaxSettings(order.outlet_id), req.staff.id);
+    if (!data) {
+      console.log('DELETE /api/orders/:id/loyalty - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'return_points', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('DELETE /api/orders/:id/loyalty - Error:', error);
+    res.status(500).json({ error: `Failed to return points: ${error.message}` });
+  }
+});
+
+// Payments taken against an order, with the outstanding balance
+app.get('/api/orders/:id/payments', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, outlet_id, status, items, discounts, total, amount_paid, payment_status')
+      .eq('id', id)
+      .single();
+    if (orderError || !order) {
+      console.log('GET /api/orders/:id/payments - Order not found:', orderError?.message);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { data: payments, error } = await supabase
+      .from('payments')
+      .select(PAYMENT_FIELDS)
+      .eq('order_id', id)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const total = order.status === 'paid' ? parseFloat(order.total) : orderTotalsColumns(order.items, await getTaxSettings(order.outlet_id), order.discounts).total;
+    res.json({
+      total,
+      amount_paid: parseFloat(order.amount_paid) || 0,
+      balance_due: roundAmount(Math.max(0, total - (parseFloat(order.amount_paid) || 0))),
+      payment_status: order.payment_status,
+      payments
+    });
+  } catch (error) {
+    console.error('GET /api/orders/:id/payments - Error:', error);
+    res.status(500).json({ error: `Failed to fetch payments: ${error.message}` });
+  }
+});
+
+// Loads an unpaid order with its current totals for the split calculators.
+// Returns { order, totals } or sends the error response and returns null.
+async function loadOrderForSplit(req, res, route) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select('id, outlet_id, status, items, discounts, amount_paid')
+    .eq('id', req.params.id)
+    .single();
+  if (error || !order) {
+    console.log(`${route} - Order not found:`, error?.message);
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+    console.log(`${route} - Order is ${order.status}`);
+    res.status(400).json({ error: `Cannot split a ${order.status} order` });
+    return null;
+  }
+  return { order, totals: computeOrderTotals(order.items, await getTaxSettings(order.outlet_id), order.discounts) };
+}
+
+// Split the outstanding balance evenly between `ways` people
+app.post('/api/orders/:id/split/even', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const ways = parseInt(req.body.ways);
+  if (!(ways >= 2 && ways <= 50)) {
+    console.log('POST /api/orders/:id/split/even - Invalid ways');
+    return res.status(400).json({ error: 'ways must be a whole number between 2 and 50' });
+  }
+
+  try {
+    const loaded = await loadOrderForSplit(req, res, 'POST /api/orders/:id/split/even');
+    if (!loaded) return;
+    const balance = roundAmount(loaded.totals.total - (parseFloat(loaded.order.amount_paid) || 0));
+
+    res.json({
+      total: loaded.totals.total,
+      balance_due: balance,
+      shares: allocateAmount(balance, Array(ways).fill(1)).map((amount, index) => ({ share: index + 1, amount }))
+    });
+  } catch (error) {
+    console.error('POST /api/orders/:id/split/even - Error:', error);
+    res.status(500).json({ error: `Failed to split order: ${error.message}` });
+  }
+});
+
+// Split the bill by items. `splits` is a list of shares, each a list of { index, quantity }
+// referring to order lines; every unit of every line must be assigned to exactly one share.
+// Tax, service charge and round-off are spread in proportion to each share's items.
+app.post('/api/orders/:id/split/items', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { splits } = req.body;
+  if (!Array.isArray(splits) || splits.length < 2 || splits.some(split => !Array.isArray(split) || !split.length)) {
+    console.log('POST /api/orders/:id/split/items - Invalid splits');
+    return res.status(400).json({ error: 'splits must be a list of at least two non-empty lists of { index, quantity }' });
+  }
+
+  try {
+    const loaded = await loadOrderForSplit(req, res, 'POST /api/orders/:id/split/items');
+    if (!loaded) return;
+    const { order, totals } = loaded;
+    if (parseFloat(order.amount_paid) > 0) {
+      console.log('POST /api/orders/:id/split/items - Order already has payments');
+      return res.status(400).json({ error: 'Split by items before taking any payment, or split the remaining balance evenly' });
+    }
+
+    const assigned = totals.lines.map(() => 0);
+    const weights = [];
+    for (const split of splits) {
+      let weight = 0;
+      for (const entry of split) {
+        const line = totals.lines[entry.index];
+        const quantity = entry.quantity === undefined ? line?.quantity : parseInt(entry.quantity);
+        if (!line || !(quantity > 0)) {
+          console.log('POST /api/orders/:id/split/items - Invalid line');
+          return res.status(400).json({ error: 'Each entry needs a valid line index and positive quantity' });
+        }
+        assigned[entry.index] += quantity;
+        weight += (line.amount - line.discount) * quantity / line.quantity;
+      }
+      weights.push(weight);
+    }
+    if (assigned.some((quantity, index) => quantity !== totals.lines[index].quantity)) {
+      console.log('POST /api/orders/:id/split/items - Lines not fully assigned');
+      return res.status(400).json({ error: 'Every item must be assigned to exactly one share' });
+    }
+
+    const amounts = allocateAmount(totals.total, weights);
+    res.json({
+      total: totals.total,
+      shares: splits.map((split, index) => ({
+        share: index + 1,
+        items: split.map(entry => ({
+          index: entry.index,
+          name: totals.lines[entry.index].name,
+          quantity: entry.quantity === undefined ? totals.lines[entry.index].quantity : parseInt(entry.quantity)
+        })),
+        amount: amounts[index]
+      }))
+    });
+  } catch (error) {
+    console.error('POST /api/orders/:id/split/items - Error:', error);
+    res.status(500).json({ error: `Failed to split order: ${error.message}` });
+  }
+});
+
+// Cash drawer shifts. A cashier opens the drawer with a float; payments and pay-ins/pay-outs
+// are booked to the open shift; closing it with the counted cash produces the Z report and
+// locks every paid or cancelled order so nothing from a closed day can be changed.
+// Each outlet has one drawer, so at most one shift is open at a time per outlet.
+const SHIFT_FIELDS = 'id, outlet_id, business_date, status, opened_by, opened_at, opening_float, closed_by, closed_at, ' +
+  'counted_cash, expected_cash, cash_difference, notes';
+const CASH_MOVEMENT_KINDS = ['pay_in', 'pay_out'];
+const CASH_MOVEMENT_FIELDS = 'id, shift_id, kind, amount, reason, staff_id, created_at';
+
+async function getOpenShift(outletId) {
+  const { data, error } = await supabase
+    .from('shifts')
+    .select(SHIFT_FIELDS)
+    .eq('outlet_id', outletId)
+    .eq('status', 'open')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Figures for a shift, up to now for an open shift (X report) or up to its close (Z report):
+// sales of orders fully paid in the shift, tenders per payment_type, refunds given (as negative
+// takings), the cash drawer, discounts, voided lines and cancelled orders, and the orders still
+// open. Built in the database (shift_report), which also builds the Z report when closing.
+async function buildShiftReport(shift) {
+  const { data, error } = await supabase.rpc('shift_report', { p_shift_id: shift.id });
+  if (error) throw error;
+  return data;
+}
+
+// The open shift with its running figures (X report)
+app.get('/api/shifts/current', requireRole('cashier', 'admin'), requireOutlet, async (req, res) => {
+  try {
+    const shift = await getOpenShift(req.outletId);
+    if (!shift) {
+      console.log('GET /api/shifts/current - No open shift');
+      return res.status(404).json({ error: 'No shift is open' });
+    }
+    res.json({ ...shift, report: await buildShiftReport(shift) });
+  } catch (error) {
+    console.error('GET /api/shifts/current - Error:', error);
+    res.status(500).json({ error: `Failed to fetch shift: ${error.message}` });
+  }
+});
+
+// Open the cash drawer with a float
+app.post('/api/shifts', requireRole('cashier', 'admin'), requireOutlet, async (req, res) => {
+  const openingFloat = roundAmount(parseFloat(req.body.opening_float));
+  if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+    console.log('POST /api/shifts - Invalid opening float');
+    return res.status(400).json({ error: 'opening_float must be a non-negative amount' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('shifts')
+      .insert([{
+        outlet_id: req.outletId,
+        business_date: cafeLocalTime().date,
+        opened_by: req.staff.id,
+        opening_float: openingFloat,
+        notes: req.body.notes || null
+      }])
+      .select(SHIFT_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/shifts - A shift is already open');
+        return res.status(409).json({ error: 'A shift is already open at this outlet, close it first' });
+      }
+      throw error;
+    }
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/shifts - Error:', error);
+    res.status(500).json({ error: `Failed to open shift: ${error.message}` });
+  }
+});
+
+// Record cash put into (pay_in) or taken out of (pay_out) the drawer
+app.post('/api/shifts/current/cash-movements', requireRole('cashier', 'admin'), requireOutlet, async (req, res) => {
+  const { kind, reason } = req.body;
+  const amount = roundAmount(parseFloat(req.body.amount));
+  if (!CASH_MOVEMENT_KINDS.includes(kind)) {
+    console.log('POST /api/shifts/current/cash-movements - Invalid kind');
+    return res.status(400).json({ error: `kind must be one of ${CASH_MOVEMENT_KINDS.join(', ')}` });
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    console.log('POST /api/shifts/current/cash-movements - Invalid amount');
+    return res.status(400).json({ error: 'amount must be a positive number' });
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    console.log('POST /api/shifts/current/cash-movements - Missing reason');
+    return res.status(400).json({ error: 'A reason is required for pay-ins and pay-outs' });
+  }
+
+  try {
+    const shift = await getOpenShift(req.outletId);
+    if (!shift) {
+      console.log('POST /api/shifts/current/cash-movements - No open shift');
+      return res.status(400).json({ error: 'No shift is open' });
+    }
+
+    const { data, error } = await supabase
+      .from('cash_movements')
+      .insert([{ shift_id: shift.id, kind, amount, reason: reason.trim(), staff_id: req.staff.id }])
+      .select(CASH_MOVEMENT_FIELDS)
+      .single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/shifts/current/cash-movements - Error:', error);
+    res.status(500).json({ error: `Failed to record cash movement: ${error.message}` });
+  }
+});
+
+// Close the open shift with the counted cash. Returns the Z report, which is also kept on the shift.
+app.post('/api/shifts/current/close', requireRole('cashier', 'admin'), requireOutlet, async (req, res) => {
+  const countedCash = roundAmount(parseFloat(req.body.counted_cash));
+  if (!Number.isFinite(countedCash) || countedCash < 0) {
+    console.log('POST /api/shifts/current/close - Invalid counted cash');
+    return res.status(400).json({ error: 'counted_cash must be a non-negative amount' });
+  }
+
+  try {
+    const shift = await getOpenShift(req.outletId);
+    if (!shift) {
+      console.log('POST /api/shifts/current/close - No open shift');
+      return res.status(400).json({ error: 'No shift is open' });
+    }
+
+    // Closes the shift, stores its Z report and locks the outlet's day in one transaction
+    const { data: closed, error } = await supabase.rpc('close_shift', {
+      p_shift_id: shift.id,
+      p_staff_id: req.staff.id,
+      p_counted_cash: countedCash,
+      p_notes: req.body.notes ?? null
+    });
+    if (error) throw error;
+    if (!closed?.id) {
+      console.log('POST /api/shifts/current/close - Shift closed during request');
+      return res.status(409).json({ error: 'The shift was closed by someone else, please refresh' });
+    }
+
+    // Every order the close locked gets an audit entry
+    const { data: locked, error: lockedError } = await supabase
+      .from('orders')
+      .select('id, locked_at')
+      .eq('outlet_id', closed.outlet_id)
+      .eq('locked_at', closed.closed_at);
+    if (lockedError) throw lockedError;
+    for (const order of locked) {
+      await recordAudit(req, { entity: 'order', id: order.id, action: 'lock', before: { locked_at: null }, after: order });
+    }
+
+    const { z_report: report, ...data } = closed;
+    res.json({ ...data, report });
+  } catch (error) {
+    console.error('POST /api/shifts/current/close - Error:', error);
+    res.status(500).json({ error: `Failed to close shift: ${error.message}` });
+  }
+});
+
+// Past shifts, newest first (admin), of the selected outlet or all of them
+app.get('/api/admin/shifts', requireRole('admin'), async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    let query = supabase
+      .from('shifts')
+      .select(SHIFT_FIELDS)
+      .order('opened_at', { ascending: false })
+      .limit(100);
+
+    if (startDate && endDate) {
+      query = query.gte('business_date', startDate).lte('business_date', endDate);
+    }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/shifts - Error:', error);
+    res.status(500).json({ error: `Failed to fetch shifts: ${error.message}` });
+  }
+});
+
+// Z report of a closed shift (or the X report of the open one)
+app.get('/api/shifts/:id/report', requireRole('cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: shift, error } = await supabase
+      .from('shifts')
+      .select(`${SHIFT_FIELDS}, z_report`)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!shift) {
+      console.log('GET /api/shifts/:id/report - Shift not found');
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const { z_report: stored, ...details } = shift;
+    res.json({ ...details, report: stored || await buildShiftReport(shift) });
+  } catch (error) {
+    console.error('GET /api/shifts/:id/report - Error:', error);
+    res.status(500).json({ error: `Failed to fetch shift report: ${error.message}` });
+  }
+});
+
+// Table sessions: the first order at a free table opens a session, later orders join it, and
+// the session closes once none of its orders is left open. A table's status is derived from it:
+// free (no session), occupied or bill_requested.
+const TABLE_SESSION_FIELDS = 'id, table_id, status, opened_at, bill_requested_at, closed_at, merged_into';
+
+// The table's open session, opening one if the table is free
+async function openTableSession(tableId) {
+  const { data: existing, error } = await supabase
+    .from('table_sessions')
+    .select(TABLE_SESSION_FIELDS)
+    .eq('table_id', tableId)
+    .neq('status', 'closed')
+    .maybeSingle();
+  if (error) throw error;
+  if (existing) return existing;
+
+  const { data, error: insertError } = await supabase
+    .from('table_sessions')
+    .insert([{ table_id: tableId }])
+    .select(TABLE_SESSION_FIELDS)
+    .single();
+  if (insertError) {
+    // Another order opened the session first
+    if (insertError.code === '23505') return openTableSession(tableId);
+    throw insertError;
+  }
+  return data;
+}
+
+// Close a session once every order on it is paid or cancelled
+async function closeSessionIfSettled(sessionId) {
+  const { count, error } = await supabase
+    .from('orders')
+    .select('id', { count: 'exact', head: true })
+    .eq('session_id', sessionId)
+    .in('status', ACTIVE_ORDER_STATUSES);
+  if (error) throw error;
+  if (count) return false;
+
+  const { error: closeError } = await supabase
+    .from('table_sessions')
+    .update({ status: 'closed', closed_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .neq('status', 'closed');
+  if (closeError) throw closeError;
+
+  // Settling up answers the table's request for the bill
+  const { error: requestError } = await supabase
+    .from('service_requests')
+    .update({ status: 'resolved', resolved_at: new Date().toISOString() })
+    .eq('session_id', sessionId)
+    .eq('type', 'request_bill')
+    .neq('status', 'resolved');
+  if (requestError) throw requestError;
+  return true;
+}
+
+// Running tab of a session from its (non-cancelled) orders
+function summarizeSession(session, orders) {
+  const billed = orders.filter(order => order.status !== 'cancelled');
+  const total = roundAmount(billed.reduce((sum, order) => sum + (parseFloat(order.total) || 0), 0));
+  const amountPaid = roundAmount(billed.reduce((sum, order) => sum + (parseFloat(order.amount_paid) || 0), 0));
+  return {
+    ...session,
+    order_count: billed.length,
+    total,
+    amount_paid: amountPaid,
+    balance_due: roundAmount(Math.max(0, total - amountPaid))
+  };
+}
+
+// Loads a session that is still open. Returns it or sends the error response and returns null.
+async function loadOpenSession(id, res, route) {
+  const { data: session, error } = await supabase
+    .from('table_sessions')
+    .select(TABLE_SESSION_FIELDS)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!session) {
+    console.log(`${route} - Session not found`);
+    res.status(404).json({ error: 'Table session not found' });
+    return null;
+  }
+  if (session.status === 'closed') {
+    console.log(`${route} - Session is closed`);
+    res.status(400).json({ error: 'Table session is already closed' });
+    return null;
+  }
+  return session;
+}
+
+// Point a session's open orders at another table and announce the change
+async function moveSessionOrders(fromSessionId, toSession) {
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ session_id: toSession.id, table_id: toSession.table_id })
+    .eq('session_id', fromSessionId)
+    .in('status', ACTIVE_ORDER_STATUSES)
+    .select(ORDER_FIELDS);
+  if (error) throw error;
+  data.forEach(order => publishOrderEvent('order.updated', order));
+  return data;
+}
+
+// Split session tenders over its orders' balances, order by order, so each order gets exactly
+// its balance. Cash tendered and change stay on the last piece of their tender.
+function distributeTenders(payments, balances) {
+  const owed = balances.map(balance => Math.round(balance * 100));
+  const pieces = balances.map(() => []);
+  let index = 0;
+  payments.forEach(payment => {
+    let left = Math.round(payment.amount * 100);
+    let last = null;
+    while (left > 0 && index < owed.length) {
+      if (!owed[index]) {
+        index += 1;
+        continue;
+      }
+      const take = Math.min(left, owed[index]);
+      last = { ...payment, amount: take / 100, tendered: null, change: 0 };
+      pieces[index].push(last);
+      owed[index] -= take;
+      left -= take;
+    }
+    if (last && payment.tendered !== null) {
+      last.tendered = roundAmount(last.amount + payment.change);
+      last.change = payment.change;
+    }
+  });
+  return pieces;
+}
+
+// Floor view: every table with its status and running tab
+app.get('/api/tables', requireRole(...STAFF_ROLES), async (req, res) => {
+  try {
+    const [{ data: tables, error }, { data: sessions, error: sessionsError }] = await Promise.all([
+      req.outletId
+        ? supabase.from('tables').select('id, number, outlet_id').eq('outlet_id', req.outletId).order('number')
+        : supabase.from('tables').select('id, number, outlet_id').order('outlet_id').order('number'),
+      supabase.from('table_sessions').select(TABLE_SESSION_FIELDS).neq('status', 'closed')
+    ]);
+    if (error) throw error;
+    if (sessionsError) throw sessionsError;
+
+    const { data: orders, error: ordersError } = sessions.length
+      ? await supabase
+        .from('orders')
+        .select('session_id, status, total, amount_paid')
+        .in('session_id', sessions.map(session => session.id))
+      : { data: [], error: null };
+    if (ordersError) throw ordersError;
+
+    res.json(tables.map(table => {
+      const session = sessions.find(candidate => candidate.table_id === table.id);
+      return {
+        ...table,
+        status: !session ? 'free' : session.status === 'bill_requested' ? 'bill_requested' : 'occupied',
+        session: session ? summarizeSession(session, orders.filter(order => order.session_id === session.id)) : null
+      };
+    }));
+  } catch (error) {
+    console.error('GET /api/tables - Error:', error);
+    res.status(500).json({ error: `Failed to fetch tables: ${error.message}` });
+  }
+});
+
+// A session with its orders and running tab
+app.get('/api/sessions/:id', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: session, error } = await supabase
+      .from('table_sessions')
+      .select(`${TABLE_SESSION_FIELDS}, tables(number)`)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!session) {
+      console.log('GET /api/sessions/:id - Session not found');
+      return res.status(404).json({ error: 'Table session not found' });
+    }
+
+    const { data: orders, error: ordersError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('session_id', id)
+      .order('created_at', { ascending: true });
+    if (ordersError) throw ordersError;
+
+    res.json({ ...summarizeSession(session, orders), orders });
+  } catch (error) {
+    console.error('GET /api/sessions/:id - Error:', error);
+    res.status(500).json({ error: `Failed to fetch table session: ${error.message}` });
+  }
+});
+
+// Ask for the bill at a table (customers or staff). This is a request_bill service request,
+// checked the same way as POST /api/tables/:id/service-requests; raising it flags the session.
+app.post('/api/tables/:id/request-bill', async (req, res) => {
+  try {
+    const tableId = await loadRequestingTable(req, res, 'POST /api/tables/:id/request-bill');
+    if (!tableId) return;
+
+    const { data: session, error: sessionError } = await supabase
+      .from('table_sessions')
+      .select('id')
+      .eq('table_id', tableId)
+      .eq('status', 'open')
+      .maybeSingle();
+    if (sessionError) throw sessionError;
+    if (!session) {
+      console.log('POST /api/tables/:id/request-bill - No open session');
+      return res.status(404).json({ error: 'This table has no open bill' });
+    }
+
+    // Staff pick it up from the service request queue
+    await raiseServiceRequest(tableId, 'request_bill');
+    const { data, error } = await supabase
+      .from('table_sessions')
+      .select(TABLE_SESSION_FIELDS)
+      .eq('id', session.id)
+      .single();
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('POST /api/tables/:id/request-bill - Error:', error);
+    res.status(500).json({ error: `Failed to request bill: ${error.message}` });
+  }
+});
+
+// Regenerate a table's QR code; every earlier code for the table stops working
+app.post('/api/tables/:id/qr/regenerate', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const qr = await issueTableQr(id, { rotate: true });
+    if (!qr) {
+      console.log('POST /api/tables/:id/qr/regenerate - Table not found');
+      return res.status(404).json({ error: 'Table not found' });
+    }
+    res.json(qr);
+  } catch (error) {
+    console.error('POST /api/tables/:id/qr/regenerate - Error:', error);
+    res.status(500).json({ error: `Failed to regenerate QR code: ${error.message}` });
+  }
+});
+
+// Print a table's QR code on the receipt printers, regenerating it first with { rotate: true }
+app.post('/api/tables/:id/qr/print', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const qr = await issueTableQr(id, { rotate: req.body.rotate === true });
+    if (!qr) {
+      console.log('POST /api/tables/:id/qr/print - Table not found');
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const jobs = await queueTableQr(qr);
+    if (!jobs.length) {
+      console.log('POST /api/tables/:id/qr/print - No receipt printer');
+      return res.status(400).json({ error: 'No active printer is configured for receipts' });
+    }
+    processPrintQueue();
+    res.json({ ...qr, jobs });
+  } catch (error) {
+    console.error('POST /api/tables/:id/qr/print - Error:', error);
+    res.status(500).json({ error: `Failed to print QR code: ${error.message}` });
+  }
+});
+
+// Service requests raised from a table. Staff acknowledge them (the response time) and then
+// resolve them; a request can also be resolved straight away.
+const SERVICE_REQUEST_TYPES = ['call_waiter', 'request_bill', 'request_water', 'custom'];
+const SERVICE_REQUEST_FIELDS = 'id, table_id, session_id, type, message, status, created_at, ' +
+  'acknowledged_at, acknowledged_by, resolved_at, resolved_by';
+const SERVICE_REQUEST_TRANSITIONS = {
+  open: ['acknowledged', 'resolved'],
+  acknowledged: ['resolved'],
+  resolved: []
+};
+const SERVICE_REQUEST_MESSAGE_MAX_LENGTH = 200;
+
+// Raise a request for a table, linked to its open session if it has one. A table has at most one
+// unresolved request of each type other than custom; asking again returns that request.
+// Returns { data, created }.
+async function raiseServiceRequest(tableId, type, message = null) {
+  const { data: session, error: sessionError } = await supabase
+    .from('table_sessions')
+    .select('id, status')
+    .eq('table_id', tableId)
+    .neq('status', 'closed')
+    .maybeSingle();
+  if (sessionError) throw sessionError;
+
+  // Asking for the bill flags the session too
+  if (type === 'request_bill' && session?.status === 'open') {
+    const { error: billError } = await supabase
+      .from('table_sessions')
+      .update({ status: 'bill_requested', bill_requested_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('status', 'open');
+    if (billError) throw billError;
+  }
+
+  const { data, error } = await supabase
+    .from('service_requests')
+    .insert([{ table_id: tableId, session_id: session?.id ?? null, type, message }])
+    .select(`${SERVICE_REQUEST_FIELDS}, tables(number, outlet_id)`)
+    .single();
+  if (error) {
+    if (error.code !== '23505') throw error;
+    const { data: existing, error: existingError } = await supabase
+      .from('service_requests')
+      .select(`${SERVICE_REQUEST_FIELDS}, tables(number, outlet_id)`)
+      .eq('table_id', tableId)
+      .eq('type', type)
+      .neq('status', 'resolved')
+      .single();
+    if (existingError) throw existingError;
+    return { data: existing, created: false };
+  }
+
+  publishEvent('service_request.created', { service_request: data });
+  return { data, created: true };
+}
+
+// The table a request comes from. Customers pass the same presence check as for ordering
+// (table_token, or latitude and longitude); staff can act for any table.
+// Returns the table id, or sends the error response and returns null.
+async function loadRequestingTable(req, res, route) {
+  let tableId = req.params.id;
+  if (!req.staff) {
+    const { data: presence, status, error: presenceError } = await verifyCustomerPresence(req.body, tableId);
+    if (presenceError) {
+      console.log(`${route} - Presence check failed:`, presenceError);
+      res.status(status).json({ error: presenceError });
+      return null;
+    }
+    tableId = presence.table_id;
+  }
+
+  const { data: table, error } = await supabase
+    .from('tables')
+    .select('id')
+    .eq('id', tableId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!table) {
+    console.log(`${route} - Table not found`);
+    res.status(404).json({ error: 'Table not found' });
+    return null;
+  }
+  return table.id;
+}
+
+// Raise a service request from a table (customers or staff)
+app.post('/api/tables/:id/service-requests', async (req, res) => {
+  const { id } = req.params;
+  const { type } = req.body;
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  if (!SERVICE_REQUEST_TYPES.includes(type)) {
+    console.log('POST /api/tables/:id/service-requests - Invalid type');
+    return res.status(400).json({ error: `type must be one of ${SERVICE_REQUEST_TYPES.join(', ')}` });
+  }
+  if (type === 'custom' && !message) {
+    console.log('POST /api/tables/:id/service-requests - Missing message');
+    return res.status(400).json({ error: 'A message is required for custom requests' });
+  }
+  if (message.length > SERVICE_REQUEST_MESSAGE_MAX_LENGTH) {
+    console.log('POST /api/tables/:id/service-requests - Message too long');
+    return res.status(400).json({ error: `message can be at most ${SERVICE_REQUEST_MESSAGE_MAX_LENGTH} characters` });
+  }
+
+  try {
+    const tableId = await loadRequestingTable(req, res, 'POST /api/tables/:id/service-requests');
+    if (!tableId) return;
+
+    const { data, created } = await raiseServiceRequest(tableId, type, message || null);
+    res.status(created ? 201 : 200).json(data);
+  } catch (error) {
+    console.error('POST /api/tables/:id/service-requests - Error:', error);
+    res.status(500).json({ error: `Failed to raise service request: ${error.message}` });
+  }
+});
+
+// Service requests waiting for staff, oldest first. `status` is one status or a comma-separated
+// list (default open and acknowledged); filter by table with ?table_id=.
+app.get('/api/service-requests', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { status, table_id } = req.query;
+  const statuses = status ? status.split(',').map(s => s.trim()) : ['open', 'acknowledged'];
+  if (statuses.some(s => !SERVICE_REQUEST_TRANSITIONS[s])) {
+    console.log('GET /api/service-requests - Invalid status');
+    return res.status(400).json({ error: `Status must be one of ${Object.keys(SERVICE_REQUEST_TRANSITIONS).join(', ')}` });
+  }
+
+  try {
+    let query = supabase
+      .from('service_requests')
+      .select(`${SERVICE_REQUEST_FIELDS}, tables!inner(number, outlet_id)`)
+      .in('status', statuses)
+      .order('created_at', { ascending: true });
+    if (table_id) query = query.eq('table_id', table_id);
+    if (req.outletId) query = query.eq('tables.outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/service-requests - Error:', error);
+    res.status(500).json({ error: `Failed to fetch service requests: ${error.message}` });
+  }
+});
+
+// Acknowledge or resolve a service request
+app.patch('/api/service-requests/:id/status', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  if (!['acknowledged', 'resolved'].includes(status)) {
+    console.log('PATCH /api/service-requests/:id/status - Invalid status');
+    return res.status(400).json({ error: 'Valid status is required (acknowledged, resolved)' });
+  }
+
+  try {
+    const { data: request, error: requestError } = await supabase
+      .from('service_requests')
+      .select('id, status, acknowledged_at')
+      .eq('id', id)
+      .maybeSingle();
+    if (requestError) throw requestError;
+    if (!request) {
+      console.log('PATCH /api/service-requests/:id/status - Service request not found');
+      return res.status(404).json({ error: 'Service request not found' });
+    }
+    if (!SERVICE_REQUEST_TRANSITIONS[request.status].includes(status)) {
+      console.log(`PATCH /api/service-requests/:id/status - Invalid transition ${request.status} -> ${status}`);
+      return res.status(400).json({ error: `Cannot change service request from ${request.status} to ${status}` });
+    }
+
+    const now = new Date().toISOString();
+    const updates = { status, [`${status}_at`]: now, [`${status}_by`]: req.staff.id };
+    // Resolving an unacknowledged request is also the response to it
+    if (!request.acknowledged_at) Object.assign(updates, { acknowledged_at: now, acknowledged_by: req.staff.id });
+
+    const { data, error } = await supabase
+      .from('service_requests')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', request.status)
+      .select(`${SERVICE_REQUEST_FIELDS}, tables(number, outlet_id)`)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('PATCH /api/service-requests/:id/status - Status changed during update');
+      return res.status(409).json({ error: 'Service request was updated by someone else, please refresh' });
+    }
+
+    publishEvent(`service_request.${status}`, { service_request: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/service-requests/:id/status - Error:', error);
+    res.status(500).json({ error: `Failed to update service request: ${error.message}` });
+  }
+});
+
+// Move a session and its open orders to a free table
+app.post('/api/sessions/:id/transfer', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  const { table_id } = req.body;
+  if (!table_id) {
+    console.log('POST /api/sessions/:id/transfer - Missing table_id');
+    return res.status(400).json({ error: 'table_id is required' });
+  }
+
+  try {
+    const session = await loadOpenSession(id, res, 'POST /api/sessions/:id/transfer');
+    if (!session) return;
+    if (String(session.table_id) === String(table_id)) {
+      console.log('POST /api/sessions/:id/transfer - Same table');
+      return res.status(400).json({ error: 'Session is already at this table' });
+    }
+
+    const { data: tables, error: tableError } = await supabase
+      .from('tables')
+      .select('id, outlet_id')
+      .in('id', [table_id, session.table_id]);
+    if (tableError) throw tableError;
+    const table = tables.find(candidate => String(candidate.id) === String(table_id));
+    if (!table) {
+      console.log('POST /api/sessions/:id/transfer - Invalid table');
+      return res.status(400).json({ error: 'Invalid table ID' });
+    }
+    if (table.outlet_id !== tables.find(candidate => candidate.id === session.table_id)?.outlet_id) {
+      console.log('POST /api/sessions/:id/transfer - Table at another outlet');
+      return res.status(400).json({ error: 'Sessions can only move to a table at the same outlet' });
+    }
+
+    const { data, error } = await supabase
+      .from('table_sessions')
+      .update({ table_id: table.id })
+      .eq('id', id)
+      .neq('status', 'closed')
+      .select(TABLE_SESSION_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/sessions/:id/transfer - Target table occupied');
+        return res.status(409).json({ error: 'That table is occupied, merge the sessions instead' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('POST /api/sessions/:id/transfer - Session closed during transfer');
+      return res.status(409).json({ error: 'Table session was updated by someone else, please refresh' });
+    }
+
+    const orders = await moveSessionOrders(data.id, data);
+    for (const order of orders) {
+      await recordAudit(req, { entity: 'order', id: order.id, action: 'move', before: { table_id: session.table_id }, after: order });
+    }
+    res.json({ ...data, orders });
+  } catch (error) {
+    console.error('POST /api/sessions/:id/transfer - Error:', error);
+    res.status(500).json({ error: `Failed to transfer table session: ${error.message}` });
+  }
+});
+
+// Merge another table's session into this one; its open orders move over and it closes
+app.post('/api/sessions/:id/merge', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  const { session_id } = req.body;
+  if (!session_id || String(session_id) === String(id)) {
+    console.log('POST /api/sessions/:id/merge - Invalid session_id');
+    return res.status(400).json({ error: 'session_id of another open session is required' });
+  }
+
+  try {
+    const target = await loadOpenSession(id, res, 'POST /api/sessions/:id/merge');
+    if (!target) return;
+    const source = await loadOpenSession(session_id, res, 'POST /api/sessions/:id/merge');
+    if (!source) return;
+
+    const { data: tables, error: tablesError } = await supabase
+      .from('tables')
+      .select('outlet_id')
+      .in('id', [target.table_id, source.table_id]);
+    if (tablesError) throw tablesError;
+    if (new Set(tables.map(table => table.outlet_id)).size > 1) {
+      console.log('POST /api/sessions/:id/merge - Sessions at different outlets');
+      return res.status(400).json({ error: 'Only sessions at the same outlet can be merged' });
+    }
+
+    const { data: closed, error } = await supabase
+      .from('table_sessions')
+      .update({ status: 'closed', closed_at: new Date().toISOString(), merged_into: target.id })
+      .eq('id', source.id)
+      .neq('status', 'closed')
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!closed) {
+      console.log('POST /api/sessions/:id/merge - Source session closed during merge');
+      return res.status(409).json({ error: 'Table session was updated by someone else, please refresh' });
+    }
+
+    const moved = await moveSessionOrders(source.id, target);
+    for (const order of moved) {
+      await recordAudit(req, {
+        entity: 'order',
+        id: order.id,
+        action: 'move',
+        before: { table_id: source.table_id, session_id: source.id },
+        after: order
+      });
+    }
+    const { data: orders, error: ordersError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('session_id', target.id)
+      .order('created_at', { ascending: true });
+    if (ordersError) throw ordersError;
+
+    res.json({ ...summarizeSession(target, orders), orders });
+  } catch (error) {
+    console.error('POST /api/sessions/:id/merge - Error:', error);
+    res.status(500).json({ error: `Failed to merge table sessions: ${error.message}` });
+  }
+});
+
+// Settle the whole session in one go. The tenders must cover every open order's balance;
+// they are spread over the orders, each of which is paid and invoiced on its own. A
+// customer_phone identifies the customer on the orders that do not have one yet.
+app.post('/api/sessions/:id/pay', requireRole('waiter', 'cashier', 'admin'), idempotent, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const session = await loadOpenSession(id, res, 'POST /api/sessions/:id/pay');
+    if (!session) return;
+
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('session_id', id)
+      .in('status', ACTIVE_ORDER_STATUSES)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    if (!orders.length) {
+      console.log('POST /api/sessions/:id/pay - Nothing to settle');
+      return res.status(400).json({ error: 'This session has no unpaid orders' });
+    }
+
+    // A session's orders are all at its table's outlet
+    const outletId = orders[0].outlet_id;
+    const settings = await getTaxSettings(outletId);
+    const balances = orders.map(order =>
+      roundAmount(orderTotalsColumns(order.items, settings, order.discounts).total - (parseFloat(order.amount_paid) || 0)));
+    const balance = roundAmount(balances.reduce((sum, value) => sum + value, 0));
+
+    const { data: payments, error: paymentsError } = parsePayments(req.body, balance);
+    if (paymentsError) {
+      console.log('POST /api/sessions/:id/pay - Invalid payments:', paymentsError);
+      return res.status(400).json({ error: paymentsError });
+    }
+    const paying = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (paying < balance) {
+      console.log('POST /api/sessions/:id/pay - Payment does not cover the session');
+      return res.status(400).json({ error: `Settling a session needs the full balance of ${balance.toFixed(2)}` });
+    }
+
+    const { data: customerInput, error: customerError } = parseCustomerInput(req.body);
+    if (customerError) {
+      console.log('POST /api/sessions/:id/pay - Invalid customer:', customerError);
+      return res.status(400).json({ error: customerError });
+    }
+
+    const shift = await getOpenShift(outletId);
+    if (!shift) {
+      console.log('POST /api/sessions/:id/pay - No open shift');
+      return res.status(400).json({ error: 'Open the cash drawer (start a shift) before taking payments' });
+    }
+
+    const customer = customerInput ? await identifyCustomer(customerInput) : null;
+    const pieces = distributeTenders(payments, balances);
+    const settled = [];
+    for (const [index, order] of orders.entries()) {
+      const billed = customer && !order.customer_id
+        ? await saveOrderCustomer(order, customer.id, order.discounts, settings)
+        : order;
+      const result = billed && await applyOrderPayment(billed, pieces[index], { staffId: req.staff.id, shiftId: shift.id }, settings);
+      if (!result) {
+        console.log(`POST /api/sessions/:id/pay - Order ${order.id} changed during settlement`);
+        return res.status(409).json({
+          error: `An order was updated by someone else after ${settled.length} of ${orders.length} were settled, please refresh`
+        });
+      }
+      await auditOrderPayment(req, order, result);
+      settled.push(result);
+    }
+
+    const recorded = settled.flatMap(result => result.payments);
+    res.json({
+      session_id: session.id,
+      orders: settled.map(result => ({ ...result.order, invoice_number: result.invoice?.invoice_number ?? null })),
+      payments: recorded,
+      points_earned: settled.reduce((sum, result) => sum + result.pointsEarned, 0),
+      total: balance,
+      change_due: roundAmount(recorded.reduce((sum, payment) => sum + (parseFloat(payment.change) || 0), 0))
+    });
+  } catch (error) {
+    console.error('POST /api/sessions/:id/pay - Error:', error);
+    res.status(500).json({ error: `Failed to settle table session: ${error.message}` });
+  }
+});
+
+// Free a table whose session has nothing left to pay (e.g. guests left before ordering more)
+app.post('/api/sessions/:id/close', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const session = await loadOpenSession(id, res, 'POST /api/sessions/:id/close');
+    if (!session) return;
+
+    if (!(await closeSessionIfSettled(session.id))) {
+      console.log('POST /api/sessions/:id/close - Session has open orders');
+      return res.status(400).json({ error: 'Settle or cancel the open orders before closing the session' });
+    }
+    res.json({ ...session, status: 'closed' });
+  } catch (error) {
+    console.error('POST /api/sessions/:id/close - Error:', error);
+    res.status(500).json({ error: `Failed to close table session: ${error.message}` });
+  }
+});
+
+// Store recomputed discounts and totals on an order that has no payments yet.
+// Returns the updated order, or null if it changed, was paid or was cancelled in the meantime.
+async function saveOrderDiscounts(order, items, discounts) {
+  const settings = await getTaxSettings(order.outlet_id);
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ discounts, ...orderTotalsColumns(items, settings, discounts) })
+    .eq('id', order.id)
+    .eq('version', order.version)
+    .in('status', ACTIVE_ORDER_STATUSES)
+    .eq('amount_paid', 0)
+    .is('locked_at', null)
+    .select(ORDER_FIELDS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Loads an order whose discounts can still change (open and nothing paid yet).
+// Customers pass the same presence check as for ordering, for the order's own table.
+// Returns the order or sends the error response and returns null.
+async function loadOrderForDiscounts(req, res, route) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(ORDER_FIELDS)
+    .eq('id', req.params.id)
+    .single();
+  if (error || !order) {
+    console.log(`${route} - Order not found:`, error?.message);
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  if (!req.staff) {
+    const { status, error: presenceError } = await verifyCustomerPresence(req.body, order.table_id);
+    if (presenceError) {
+      console.log(`${route} - Presence check failed:`, presenceError);
+      res.status(status).json({ error: presenceError });
+      return null;
+    }
+  }
+  if (!checkOrderVersion(req, res, order, route)) return null;
+  if (!ACTIVE_ORDER_STATUSES.includes(order.status) || parseFloat(order.amount_paid) > 0) {
+    console.log(`${route} - Order is ${order.status} / has payments`);
+    res.status(400).json({ error: 'Discounts can only change on open orders before payment' });
+    return null;
+  }
+  if (redeemedPointsError(order)) {
+    console.log(`${route} - Points redeemed`);
+    res.status(400).json({ error: redeemedPointsError(order) });
+    return null;
+  }
+  return order;
+}
+
+// Apply a coupon code to an order, replacing any coupon it already has
+app.put('/api/orders/:id/coupon', async (req, res) => {
+  const { code } = req.body;
+  if (typeof code !== 'string' || !code.trim()) {
+    console.log('PUT /api/orders/:id/coupon - Missing code');
+    return res.status(400).json({ error: 'Coupon code is required' });
+  }
+
+  try {
+    const order = await loadOrderForDiscounts(req, res, 'PUT /api/orders/:id/coupon');
+    if (!order) return;
+
+    const previousCoupon = (order.discounts || []).find(discount => discount.source === 'coupon');
+    const existing = (order.discounts || []).filter(discount => discount.source !== 'coupon');
+    const { data: discountResult, error: discountError } = await resolveDiscounts(order.items, { couponCode: code, existing });
+    if (discountError) {
+      console.log('PUT /api/orders/:id/coupon - Discount error:', discountError);
+      return res.status(400).json({ error: discountError });
+    }
+    const { discounts, couponRule } = discountResult;
+    const sameCoupon = previousCoupon && previousCoupon.rule_id === couponRule.id;
+    if (!sameCoupon && !(await claimCouponUse(couponRule.id))) {
+      console.log('PUT /api/orders/:id/coupon - Coupon usage limit reached');
+      return res.status(400).json({ error: 'This coupon has reached its usage limit' });
+    }
+
+    const data = await saveOrderDiscounts(order, order.items, discounts);
+    if (!data) {
+      if (!sameCoupon) await releaseCouponUse(couponRule.id);
+      console.log('PUT /api/orders/:id/coupon - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+    if (previousCoupon && !sameCoupon) await releaseCouponUse(previousCoupon.rule_id);
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'discounts', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('PUT /api/orders/:id/coupon - Error:', error);
+    res.status(500).json({ error: `Failed to apply coupon: ${error.message}` });
+  }
+});
+
+// Remove the coupon from an order
+app.delete('/api/orders/:id/coupon', async (req, res) => {
+  try {
+    const order = await loadOrderForDiscounts(req, res, 'DELETE /api/orders/:id/coupon');
+    if (!order) return;
+
+    const coupon = (order.discounts || []).find(discount => discount.source === 'coupon');
+    if (!coupon) {
+      console.log('DELETE /api/orders/:id/coupon - No coupon on order');
+      return res.status(404).json({ error: 'Order has no coupon' });
+    }
+
+    const discounts = order.discounts.filter(discount => discount.source !== 'coupon');
+    const data = await saveOrderDiscounts(order, order.items, discounts);
+    if (!data) {
+      console.log('DELETE /api/orders/:id/coupon - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+    await releaseCouponUse(coupon.rule_id);
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'discounts', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('DELETE /api/orders/:id/coupon - Error:', error);
+    res.status(500).json({ error: `Failed to remove coupon: ${error.message}` });
+  }
+});
+
+// Give a manager-approved manual discount (percent or flat), replacing any earlier one
+app.post('/api/orders/:id/discounts', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { kind, reason } = req.body;
+  const value = parseFloat(req.body.value);
+  if (!['percent', 'flat'].includes(kind) || !Number.isFinite(value) || value <= 0 || (kind === 'percent' && value > 100)) {
+    console.log('POST /api/orders/:id/discounts - Invalid discount');
+    return res.status(400).json({ error: 'kind (percent or flat) and a positive value are required' });
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    console.log('POST /api/orders/:id/discounts - Missing reason');
+    return res.status(400).json({ error: 'A reason is required for manual discounts' });
+  }
+
+  try {
+    const { data: approver, status: approvalStatus, error: approvalError } = await verifyManagerApproval(req);
+    if (approvalError) {
+      console.log('POST /api/orders/:id/discounts - Approval failed:', approvalError);
+      return res.status(approvalStatus).json({ error: approvalError });
+    }
+
+    const order = await loadOrderForDiscounts(req, res, 'POST /api/orders/:id/discounts');
+    if (!order) return;
+
+    const manual = repriceManualDiscount({
+      rule_id: null,
+      name: kind === 'percent' ? `Manual discount ${value}%` : 'Manual discount',
+      kind,
+      value,
+      source: 'manual',
+      code: null,
+      item_id: null,
+      category: null,
+      reason: reason.trim(),
+      approved_by: approver.id,
+      approved_by_name: approver.name,
+      requested_by: req.staff.id
+    }, order.items);
+    const discounts = [...(order.discounts || []).filter(discount => discount.source !== 'manual'), manual];
+
+    const data = await saveOrderDiscounts(order, order.items, discounts);
+    if (!data) {
+      console.log('POST /api/orders/:id/discounts - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'discounts', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('POST /api/orders/:id/discounts - Error:', error);
+    res.status(500).json({ error: `Failed to apply discount: ${error.message}` });
+  }
+});
+
+// Remove the manual discount from an order (manager approval required)
+app.delete('/api/orders/:id/discounts/manual', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  try {
+    const { status: approvalStatus, error: approvalError } = await verifyManagerApproval(req);
+    if (approvalError) {
+      console.log('DELETE /api/orders/:id/discounts/manual - Approval failed:', approvalError);
+      return res.status(approvalStatus).json({ error: approvalError });
+    }
+
+    const order = await loadOrderForDiscounts(req, res, 'DELETE /api/orders/:id/discounts/manual');
+    if (!order) return;
+
+    const discounts = (order.discounts || []).filter(discount => discount.source !== 'manual');
+    const data = await saveOrderDiscounts(order, order.items, discounts);
+    if (!data) {
+      console.log('DELETE /api/orders/:id/discounts/manual - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'discounts', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    res.set('ETag', orderEtag(data));
+    res.json(data);
+  } catch (error) {
+    console.error('DELETE /api/orders/:id/discounts/manual - Error:', error);
+    res.status(500).json({ error: `Failed to remove discount: ${error.message}` });
+  }
+});
+
+// Voids and refunds. A void takes lines (or the whole order) off an unpaid bill; a refund pays
+// money back on a paid order. Both need a reason code and a manager, and are recorded as
+// entries of their own: the paid order itself never changes, refunds count as negative amounts
+// in the shift they were given in.
+const VOID_REASON_CODES = ['customer_request', 'wrong_order', 'kitchen_error', 'out_of_stock', 'duplicate', 'other'];
+const REFUND_REASON_CODES = ['customer_complaint', 'quality', 'wrong_order', 'overcharge', 'duplicate_payment', 'other'];
+const ORDER_VOID_FIELDS = 'id, order_id, scope, items, amount, reason_code, reason, approved_by, staff_id, shift_id, created_at';
+const REFUND_FIELDS = 'id, order_id, amount, payment_type, items, reason_code, reason, approved_by, staff_id, shift_id, created_at';
+
+// Validate reason_code (and reason, required for 'other'). Returns { data } or { error }.
+function parseReason(body, codes) {
+  const { reason_code } = body;
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!codes.includes(reason_code)) return { error: `reason_code must be one of ${codes.join(', ')}` };
+  if (reason_code === 'other' && !reason) return { error: 'A reason is required for reason_code other' };
+  return { data: { reason_code, reason: reason || null } };
+}
+
+// Validate [{ index, quantity }] against order lines, quantity defaulting to the whole line.
+// `taken` holds quantities per line index that are already voided or refunded.
+// Returns { data } with { index, quantity } per line, or { error }.
+function parseOrderLineSelection(lines, items, taken = {}) {
+  if (!Array.isArray(lines) || !lines.length) return { error: 'Non-empty lines array is required' };
+  const selected = new Map();
+  for (const line of lines) {
+    const item = Number.isInteger(line?.index) ? items[line.index] : undefined;
+    if (!item) return { error: 'Each line needs the index of an order line' };
+    const available = (item.quantity || 1) - (taken[line.index] || 0) - (selected.get(line.index) || 0);
+    const quantity = line.quantity === undefined ? available : line.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+      return { error: `Quantity for ${item.name} must be between 1 and ${available}` };
+    }
+    selected.set(line.index, (selected.get(line.index) || 0) + quantity);
+  }
+  return { data: [...selected].map(([index, quantity]) => ({ index, quantity })) };
+}
+
+// A record of order lines: what was voided or refunded
+function describeOrderLines(items, selection, amounts = null) {
+  return selection.map(({ index, quantity }, position) => ({
+    index,
+    item_id: items[index].item_id,
+    name: items[index].name,
+    category: items[index].category,
+    quantity,
+    price: items[index].price,
+    amount: amounts ? amounts[position] : roundAmount((items[index].price || 0) * quantity)
+  }));
+}
+
+// Order lines cut down to the selected quantities, as printed on a VOID ticket
+function selectedOrderItems(items, selection) {
+  return selection.map(({ index, quantity }) => ({ ...items[index], quantity }));
+}
+
+// Side effects of cancelling an order: its coupon use, redeemed loyalty points and stock are
+// given back, and its table session closes if nothing else is open on it
+async function releaseCancelledOrder(order, staffId) {
+  const coupon = (order.discounts || []).find(discount => discount.source === 'coupon');
+  if (coupon) await releaseCouponUse(coupon.rule_id);
+  const loyalty = (order.discounts || []).find(discount => discount.source === 'loyalty');
+  if (loyalty) await applyLoyaltyPoints(loyalty.customer_id, loyalty.points, 'return', { orderId: order.id, staffId });
+  if (order.session_id) await closeSessionIfSettled(order.session_id);
+  try {
+    await applyOrderStock(order.id, null, 'cancel', staffId);
+  } catch (stockError) {
+    console.error(`Orders - Failed to restore stock for order ${order.id}:`, stockError);
+  }
+}
+
+// Void lines (or part of their quantity) that were already sent to the kitchen. Body:
+// { lines: [{ index, quantity }], reason_code, reason } plus manager approval. The bill is
+// repriced and the kitchen gets a VOID ticket.
+app.post('/api/orders/:id/void-items', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  const { data: reason, error: reasonError } = parseReason(req.body, VOID_REASON_CODES);
+  if (reasonError) {
+    console.log('POST /api/orders/:id/void-items - Invalid reason:', reasonError);
+    return res.status(400).json({ error: reasonError });
+  }
+
+  try {
+    const { data: approver, status: approvalStatus, error: approvalError } = await verifyManagerApproval(req);
+    if (approvalError) {
+      console.log('POST /api/orders/:id/void-items - Approval failed:', approvalError);
+      return res.status(approvalStatus).json({ error: approvalError });
+    }
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`${ORDER_FIELDS}, stock_usage`)
+      .eq('id', id)
+      .maybeSingle();
+    if (orderError) throw orderError;
+    if (!order) {
+      console.log('POST /api/orders/:id/void-items - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!checkOrderVersion(req, res, order, 'POST /api/orders/:id/void-items')) return;
+    if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`POST /api/orders/:id/void-items - Cannot void items of ${order.status} order`);
+      return res.status(400).json({ error: `Cannot void items of a ${order.status} order` });
+    }
+    if (redeemedPointsError(order)) {
+      console.log('POST /api/orders/:id/void-items - Points redeemed');
+      return res.status(400).json({ error: redeemedPointsError(order) });
+    }
+
+    const items = Array.isArray(order.items) ? order.items : [];
+    const { data: selection, error: selectionError } = parseOrderLineSelection(req.body.lines, items);
+    if (selectionError) {
+      console.log('POST /api/orders/:id/void-items - Invalid lines:', selectionError);
+      return res.status(400).json({ error: selectionError });
+    }
+    const voidedByIndex = new Map(selection.map(line => [line.index, line.quantity]));
+    const remaining = items
+      .map((item, index) => ({ ...item, quantity: (item.quantity || 1) - (voidedByIndex.get(index) || 0) }))
+      .filter(item => item.quantity > 0);
+    if (!remaining.length) {
+      console.log('POST /api/orders/:id/void-items - Every line voided');
+      return res.status(400).json({ error: 'To void every line, void the order instead' });
+    }
+
+    const { data: discountResult } = await resolveDiscounts(remaining, { existing: order.discounts });
+    const { discounts } = discountResult;
+    const settings = await getTaxSettings(order.outlet_id);
+    const totalsColumns = orderTotalsColumns(remaining, settings, discounts);
+    const amountPaid = parseFloat(order.amount_paid) || 0;
+    if (totalsColumns.total < amountPaid) {
+      console.log('POST /api/orders/:id/void-items - Would leave order overpaid');
+      return res.status(400).json({ error: 'Voiding these lines would bring the bill below what has been paid' });
+    }
+
+    const { data, error } = await supabase
+      .from('orders')
+      .update({ items: remaining, discounts, ...totalsColumns })
+      .eq('id', id)
+      .in('status', ACTIVE_ORDER_STATUSES)
+      .eq('version', order.version)
+      .is('locked_at', null)
+      .select(ORDER_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('POST /api/orders/:id/void-items - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    const voidedItems = describeOrderLines(items, selection);
+    const shift = await getOpenShift(order.outlet_id);
+    const { data: record, error: recordError } = await supabase
+      .from('order_voids')
+      .insert([{
+        order_id: id,
+        scope: 'line',
+        items: voidedItems,
+        amount: roundAmount((parseFloat(order.total) || 0) - totalsColumns.total),
+        ...reason,
+        approved_by: approver.id,
+        staff_id: req.staff.id,
+        shift_id: shift?.id ?? null
+      }])
+      .select(ORDER_VOID_FIELDS)
+      .single();
+    if (recordError) throw recordError;
+
+    if (order.stock_usage) {
+      try {
+        await applyOrderStock(id, stockUsage(remaining, await loadRecipes(remaining)), 'cancel', req.staff.id);
+      } catch (stockError) {
+        console.error('POST /api/orders/:id/void-items - Failed to restore stock:', stockError);
+      }
+    }
+
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'void_items', before: order, after: data });
+    publishOrderEvent('order.updated', data);
+    queueKitchenTickets(data, null, { voidedItems: selectedOrderItems(items, selection) })
+      .then(processPrintQueue)
+      .catch(printError => console.error('POST /api/orders/:id/void-items - Failed to queue void KOT:', printError));
+    res.set('ETag', orderEtag(data));
+    res.json({ order: data, void: record });
+  } catch (error) {
+    console.error('POST /api/orders/:id/void-items - Error:', error);
+    res.status(500).json({ error: `Failed to void items: ${error.message}` });
+  }
+});
+
+// Void a whole unpaid order: it is cancelled with the reason code and manager recorded, and the
+// kitchen gets a VOID ticket. Orders with payments are paid off and refunded instead.
+app.post('/api/orders/:id/void', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  const { data: reason, error: reasonError } = parseReason(req.body, VOID_REASON_CODES);
+  if (reasonError) {
+    console.log('POST /api/orders/:id/void - Invalid reason:', reasonError);
+    return res.status(400).json({ error: reasonError });
+  }
+
+  try {
+    const { data: approver, status: approvalStatus, error: approvalError } = await verifyManagerApproval(req);
+    if (approvalError) {
+      console.log('POST /api/orders/:id/void - Approval failed:', approvalError);
+      return res.status(approvalStatus).json({ error: approvalError });
+    }
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (orderError) throw orderError;
+    if (!order) {
+      console.log('POST /api/orders/:id/void - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+      console.log(`POST /api/orders/:id/void - Cannot void ${order.status} order`);
+      return res.status(400).json({ error: `Cannot void a ${order.status} order` });
+    }
+    if (parseFloat(order.amount_paid) > 0) {
+      console.log('POST /api/orders/:id/void - Order has payments');
+      return res.status(400).json({ error: 'Order has payments; settle it and refund instead' });
+    }
+
+    const { data, error } = await supabase
+      .from('orders')
+      .update({
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancel_reason: reason.reason ? `${reason.reason_code}: ${reason.reason}` : reason.reason_code
+      })
+      .eq('id', id)
+      .eq('status', order.status)
+      .eq('amount_paid', 0)
+      .is('locked_at', null)
+      .select(ORDER_FIELDS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('POST /api/orders/:id/void - Order changed during update');
+      return res.status(409).json({ error: 'Order was updated by someone else, please refresh' });
+    }
+
+    const items = Array.isArray(order.items) ? order.items : [];
+    const selection = items.map((item, index) => ({ index, quantity: item.quantity || 1 }));
+    const shift = await getOpenShift(order.outlet_id);
+    const { data: record, error: recordError } = await supabase
+      .from('order_voids')
+      .insert([{
+        order_id: id,
+        scope: 'order',
+        items: describeOrderLines(items, selection),
+        amount: parseFloat(order.total) || 0,
+        ...reason,
+        approved_by: approver.id,
+        staff_id: req.staff.id,
+        shift_id: shift?.id ?? null
+      }])
+      .select(ORDER_VOID_FIELDS)
+      .single();
+    if (recordError) throw recordError;
+
+    await releaseCancelledOrder(data, req.staff.id);
+    await recordAudit(req, { entity: 'order', id: data.id, action: 'void', before: order, after: data });
+    publishOrderEvent('order.status_changed', data);
+    queueKitchenTickets(data, null, { voidedItems: items })
+      .then(processPrintQueue)
+      .catch(printError => console.error('POST /api/orders/:id/void - Failed to queue void KOT:', printError));
+    res.json({ order: data, void: record });
+  } catch (error) {
+    console.error('POST /api/orders/:id/void - Error:', error);
+    res.status(500).json({ error: `Failed to void order: ${error.message}` });
+  }
+});
+
+// Each order line's share of the order total (tax, service charge and discounts included),
+// in whole paise
+function lineShares(order) {
+  const items = Array.isArray(order.items) ? order.items : [];
+  const lineDiscounts = order.totals?.line_discounts || [];
+  return allocateAmount(
+    parseFloat(order.total) || 0,
+    items.map((item, index) => Math.max(0, (item.price || 0) * (item.quantity || 1) - (lineDiscounts[index] || 0)))
+  );
+}
+
+// Refund a paid order, in full or in part. Body: { payment_type, reason_code, reason } plus
+// manager approval, and either lines: [{ index, quantity }] (refunded at their share of the
+// total), an amount, or neither for everything not yet refunded. Refunds are paid from the open
+// shift's drawer; the order itself, which may be locked by a closed day, is left as it was.
+app.post('/api/orders/:id/refunds', requireRole('cashier', 'admin'), idempotent, async (req, res) => {
+  const { id } = req.params;
+  const { lines, amount } = req.body;
+  const { data: reason, error: reasonError } = parseReason(req.body, REFUND_REASON_CODES);
+  if (reasonError) {
+    console.log('POST /api/orders/:id/refunds - Invalid reason:', reasonError);
+    return res.status(400).json({ error: reasonError });
+  }
+  if (lines !== undefined && amount !== undefined) {
+    console.log('POST /api/orders/:id/refunds - Both lines and amount');
+    return res.status(400).json({ error: 'Refund either lines or an amount, not both' });
+  }
+
+  try {
+    const { data: approver, status: approvalStatus, error: approvalError } = await verifyManagerApproval(req);
+    if (approvalError) {
+      console.log('POST /api/orders/:id/refunds - Approval failed:', approvalError);
+      return res.status(approvalStatus).json({ error: approvalError });
+    }
+
+    const [{ data: order, error: orderError }, { data: previous, error: previousError }] = await Promise.all([
+      supabase.from('orders').select(ORDER_FIELDS).eq('id', id).maybeSingle(),
+      supabase.from('refunds').select(REFUND_FIELDS).eq('order_id', id)
+    ]);
+    if (orderError) throw orderError;
+    if (previousError) throw previousError;
+    if (!order) {
+      console.log('POST /api/orders/:id/refunds - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status !== 'paid') {
+      console.log(`POST /api/orders/:id/refunds - Cannot refund ${order.status} order`);
+      return res.status(400).json({ error: 'Only paid orders can be refunded' });
+    }
+
+    const shift = await getOpenShift(order.outlet_id);
+    if (!shift) {
+      console.log('POST /api/orders/:id/refunds - No open shift');
+      return res.status(400).json({ error: 'Open the cash drawer (start a shift) before giving refunds' });
+    }
+
+    const payment_type = req.body.payment_type ?? (PAYMENT_TYPES.includes(order.payment_type) ? order.payment_type : undefined);
+    if (!PAYMENT_TYPES.includes(payment_type)) {
+      console.log('POST /api/orders/:id/refunds - Invalid payment type');
+      return res.status(400).json({ error: `Refund payment_type is required (${PAYMENT_TYPES.join(', ')})` });
+    }
+
+    const items = Array.isArray(order.items) ? order.items : [];
+    const refunded = roundAmount(previous.reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+    const refundable = roundAmount((parseFloat(order.amount_paid) || 0) - refunded);
+    const refundedByIndex = {};
+    previous.forEach(refund => (refund.items || []).forEach(line => {
+      refundedByIndex[line.index] = (refundedByIndex[line.index] || 0) + line.quantity;
+    }));
+    const remainingLines = items
+      .map((item, index) => ({ index, quantity: (item.quantity || 1) - (refundedByIndex[index] || 0) }))
+      .filter(line => line.quantity > 0);
+
+    const shares = lineShares(order);
+    const refundLines = selection => describeOrderLines(
+      items,
+      selection,
+      selection.map(({ index, quantity }) => roundAmount(shares[index] * quantity / (items[index].quantity || 1)))
+    );
+
+    let refundAmount;
+    let refundItems = [];
+    if (lines !== undefined) {
+      const { data: selection, error: selectionError } = parseOrderLineSelection(lines, items, refundedByIndex);
+      if (selectionError) {
+        console.log('POST /api/orders/:id/refunds - Invalid lines:', selectionError);
+        return res.status(400).json({ error: selectionError });
+      }
+      refundItems = refundLines(selection);
+      refundAmount = roundAmount(refundItems.reduce((sum, line) => sum + line.amount, 0));
+    } else if (amount !== undefined) {
+      refundAmount = roundAmount(parseFloat(amount));
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        console.log('POST /api/orders/:id/refunds - Invalid amount');
+        return res.status(400).json({ error: 'Refund amount must be positive' });
+      }
+    } else {
+      // Full refund of whatever is left, with the lines not refunded yet
+      refundAmount = refundable;
+      refundItems = previous.some(refund => !(refund.items || []).length) ? [] : refundLines(remainingLines);
+    }
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      console.log('POST /api/orders/:id/refunds - Amount exceeds refundable');
+      return res.status(400).json({ error: `Only ${refundable.toFixed(2)} is left to refund on this order` });
+    }
+
+    // The database re-checks the amount against other refunds under a lock on the order
+    const { data: refund, error: refundError } = await supabase.rpc('record_refund', {
+      p_order_id: id,
+      p_amount: refundAmount,
+      p_payment_type: payment_type,
+      p_items: refundItems,
+      p_reason_code: reason.reason_code,
+      p_reason: reason.reason,
+      p_approved_by: approver.id,
+      p_staff_id: req.staff.id,
+      p_shift_id: shift.id
+    });
+    if (refundError) throw refundError;
+    if (!refund?.id) {
+      console.log('POST /api/orders/:id/refunds - Refunded concurrently');
+      return res.status(409).json({ error: 'Order was refunded by someone else, please refresh' });
+    }
+
+    // The refund stands either way; points can be corrected with an adjustment
+    const { error: pointsError } = await supabase.rpc('refund_loyalty_points', { p_order_id: id, p_staff_id: req.staff.id });
+    if (pointsError) console.error('POST /api/orders/:id/refunds - Failed to settle loyalty points:', pointsError);
+
+    await recordAudit(req, { entity: 'refund', id: refund.id, orderId: id, action: 'create', after: refund });
+    res.status(201).json({
+      refund,
+      refunded: roundAmount(refunded + refundAmount),
+      refundable: roundAmount(refundable - refundAmount)
+    });
+  } catch (error) {
+    console.error('POST /api/orders/:id/refunds - Error:', error);
+    res.status(500).json({ error: `Failed to refund order: ${error.message}` });
+  }
+});
+
+// Voids and refunds recorded against an order, with what is left to refund
+app.get('/api/orders/:id/adjustments', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [
+      { data: order, error: orderError },
+      { data: voids, error: voidsError },
+      { data: refunds, error: refundsError }
+    ] = await Promise.all([
+      supabase.from('orders').select('id, status, amount_paid').eq('id', id).maybeSingle(),
+      supabase.from('order_voids').select(ORDER_VOID_FIELDS).eq('order_id', id).order('created_at'),
+      supabase.from('refunds').select(REFUND_FIELDS).eq('order_id', id).order('created_at')
+    ]);
+    if (orderError) throw orderError;
+    if (voidsError) throw voidsError;
+    if (refundsError) throw refundsError;
+    if (!order) {
+      console.log('GET /api/orders/:id/adjustments - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const refunded = roundAmount(refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+    res.json({
+      voids,
+      refunds,
+      refunded,
+      refundable: order.status === 'paid' ? roundAmount((parseFloat(order.amount_paid) || 0) - refunded) : 0
+    });
+  } catch (error) {
+    console.error('GET /api/orders/:id/adjustments - Error:', error);
+    res.status(500).json({ error: `Failed to fetch order adjustments: ${error.message}` });
+  }
+});
+
+// Validate an admin discount rule payload. With `partial` only the supplied fields are checked.
+// Returns { data } with the columns to write, or { error } with a message for a 400 response.
+function parseDiscountRuleInput(body, { partial = false } = {}) {
+  const data = {};
+  const has = field => body[field] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Rule name is required' };
+    data.name = body.name.trim();
+  }
+  if (has('kind') || !partial) {
+    if (!DISCOUNT_KINDS.includes(body.kind)) return { error: `kind must be one of ${DISCOUNT_KINDS.join(', ')}` };
+    data.kind = body.kind;
+  }
+  if (has('scope') || !partial) {
+    const scope = body.scope || 'order';
+    if (!DISCOUNT_SCOPES.includes(scope)) return { error: `scope must be one of ${DISCOUNT_SCOPES.join(', ')}` };
+    data.scope = scope;
+  }
+  if (has('value')) {
+    const value = parseFloat(body.value);
+    if (!Number.isFinite(value) || value < 0) return { error: 'value must be a non-negative number' };
+    data.value = value;
+  }
+  for (const field of ['target_item_id', 'buy_quantity', 'get_quantity', 'usage_limit']) {
+    if (!has(field)) continue;
+    if (body[field] !== null && !(Number.isInteger(body[field]) && body[field] > 0)) {
+      return { error: `${field} must be a positive integer or null` };
+    }
+    data[field] = body[field];
+  }
+  if (has('min_order_amount')) {
+    const amount = body.min_order_amount === null ? null : parseFloat(body.min_order_amount);
+    if (amount !== null && (!Number.isFinite(amount) || amount < 0)) return { error: 'min_order_amount must be a non-negative number' };
+    data.min_order_amount = amount;
+  }
+  if (has('target_category')) data.target_category = body.target_category || null;
+  if (has('coupon_code')) {
+    if (body.coupon_code && !/^[A-Za-z0-9_-]{3,32}$/.test(body.coupon_code)) {
+      return { error: 'coupon_code must be 3-32 letters, digits, - or _' };
+    }
+    data.coupon_code = body.coupon_code ? body.coupon_code.toUpperCase() : null;
+  }
+  for (const field of ['valid_from', 'valid_until']) {
+    if (!has(field)) continue;
+    if (body[field] !== null && Number.isNaN(Date.parse(body[field]))) return { error: `${field} must be a date` };
+    data[field] = body[field];
+  }
+  if (has('days_of_week')) {
+    const days = body.days_of_week;
+    if (days !== null && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: 'days_of_week must be a list of 0 (Sunday) to 6 (Saturday)' };
+    }
+    data.days_of_week = days && days.length ? days : null;
+  }
+  for (const field of ['start_time', 'end_time']) {
+    if (!has(field)) continue;
+    if (body[field] !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(body[field])) return { error: `${field} must be HH:MM` };
+    data[field] = body[field];
+  }
+  if (has('is_active')) {
+    if (typeof body.is_active !== 'boolean') return { error: 'is_active must be a boolean' };
+    data.is_active = body.is_active;
+  }
+
+  if (!partial) {
+    if (data.scope === 'item' && !data.target_item_id) return { error: 'target_item_id is required for item rules' };
+    if (data.scope === 'category' && !data.target_category) return { error: 'target_category is required for category rules' };
+    if (data.kind === 'buy_x_get_y' && data.scope === 'order') return { error: 'buy_x_get_y rules need an item or category scope' };
+    if (data.kind !== 'buy_x_get_y' && data.value === undefined) return { error: 'value is required' };
+  }
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// List discount rules and coupons (admin)
+app.get('/api/admin/discount-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('discount_rules')
+      .select(DISCOUNT_RULE_FIELDS)
+      .order('id');
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/discount-rules - Error:', error);
+    res.status(500).json({ error: `Failed to fetch discount rules: ${error.message}` });
+  }
+});
+
+// Create discount rule or coupon (owner)
+app.post('/api/admin/discount-rules', requireRole('admin'), requireOwner, async (req, res) => {
+  const { data: input, error: inputError } = parseDiscountRuleInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/discount-rules - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('discount_rules')
+      .insert([input])
+      .select(DISCOUNT_RULE_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('POST /api/admin/discount-rules - Duplicate coupon code');
+        return res.status(409).json({ error: 'Coupon code is already in use' });
+      }
+      throw error;
+    }
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/discount-rules - Error:', error);
+    res.status(500).json({ error: `Failed to create discount rule: ${error.message}` });
+  }
+});
+
+// Update discount rule or coupon (owner)
+app.patch('/api/admin/discount-rules/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parseDiscountRuleInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/discount-rules/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('discount_rules')
+      .update(input)
+      .eq('id', id)
+      .select(DISCOUNT_RULE_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/discount-rules/:id - Duplicate coupon code');
+        return res.status(409).json({ error: 'Coupon code is already in use' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/discount-rules/:id - Rule not found');
+      return res.status(404).json({ error: 'Discount rule not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/discount-rules/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update discount rule: ${error.message}` });
+  }
+});
+
+// Delete discount rule (owner). Orders keep their own copy of applied discounts.
+app.delete('/api/admin/discount-rules/:id', requireRole('admin'), requireOwner, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data, error } = await supabase
+      .from('discount_rules')
+      .delete()
+      .eq('id', id)
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/discount-rules/:id - Rule not found');
+      return res.status(404).json({ error: 'Discount rule not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/discount-rules/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete discount rule: ${error.message}` });
+  }
+});
+
+// Visits and spend of a customer from their paid orders (a visit is a table session), at every
+// outlet. Resolves { visits, orders, spend, first_order_at, last_order_at }.
+async function customerVisits(customerId) {
+  const { data, error } = await supabase
+    .rpc('customer_visits', { p_start: null, p_end: null })
+    .eq('customer_id', customerId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || { visits: 0, orders: 0, spend: 0, first_order_at: null, last_order_at: null };
+}
+
+// Look up a customer by phone number at the till, with their points balance and visits
+app.get('/api/customers/lookup', requireRole('waiter', 'cashier', 'admin'), async (req, res) => {
+  const phone = normalizePhone(req.query.phone);
+  if (!phone) {
+    console.log('GET /api/customers/lookup - Invalid phone');
+    return res.status(400).json({ error: 'phone must be a valid phone number' });
+  }
+
+  try {
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select(CUSTOMER_FIELDS)
+      .eq('phone', phone)
+      .maybeSingle();
+    if (error) throw error;
+    if (!customer) {
+      console.log('GET /api/customers/lookup - Customer not found');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json({ ...customer, ...(await customerVisits(customer.id)) });
+  } catch (error) {
+    console.error('GET /api/customers/lookup - Error:', error);
+    res.status(500).json({ error: `Failed to look up customer: ${error.message}` });
+  }
+});
+
+// List customers, newest first (admin). ?search= matches a name or part of a phone number.
+app.get('/api/admin/customers', requireRole('admin'), async (req, res) => {
+  const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+  try {
+    let query = supabase
+      .from('customers')
+      .select(CUSTOMER_FIELDS)
+      .order('id', { ascending: false })
+      .limit(100);
+    if (search) {
+      const conditions = [`name.ilike.${postgrestQuote(`%${search.replace(/[\\%_]/g, '\\$&')}%`)}`];
+      const digits = search.replace(/\D/g, '');
+      if (digits.length >= 3) conditions.push(`phone.like.${postgrestQuote(`%${digits}%`)}`);
+      query = query.or(conditions.join(','));
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/customers - Error:', error);
+    res.status(500).json({ error: `Failed to fetch customers: ${error.message}` });
+  }
+});
+
+// A customer's profile (admin): visits and spend, their latest orders and points history
+app.get('/api/admin/customers/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select(CUSTOMER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!customer) {
+      console.log('GET /api/admin/customers/:id - Customer not found');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const [visits, { data: orders, error: ordersError }, { data: points, error: pointsError }] = await Promise.all([
+      customerVisits(customer.id),
+      supabase
+        .from('orders')
+        .select('id, order_number, created_at, outlet_id, table_id, status, total, payment_type, paid_at, discounts')
+        .eq('customer_id', customer.id)
+        .order('created_at', { ascending: false })
+        .limit(50),
+      supabase
+        .from('loyalty_entries')
+        .select(LOYALTY_ENTRY_FIELDS)
+        .eq('customer_id', customer.id)
+        .order('created_at', { ascending: false })
+        .limit(100)
+    ]);
+    if (ordersError) throw ordersError;
+    if (pointsError) throw pointsError;
+
+    const spend = parseFloat(visits.spend) || 0;
+    res.json({
+      ...customer,
+      ...visits,
+      average_spend: visits.orders ? roundAmount(spend / visits.orders) : 0,
+      orders,
+      points
+    });
+  } catch (error) {
+    console.error('GET /api/admin/customers/:id - Error:', error);
+    res.status(500).json({ error: `Failed to fetch customer: ${error.message}` });
+  }
+});
+
+// Update a customer's name or phone number (admin)
+app.patch('/api/admin/customers/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const updates = {};
+  if (req.body.phone !== undefined) {
+    updates.phone = normalizePhone(req.body.phone);
+    if (!updates.phone) {
+      console.log('PATCH /api/admin/customers/:id - Invalid phone');
+      return res.status(400).json({ error: 'phone must be a valid phone number' });
+    }
+  }
+  if (req.body.name !== undefined) {
+    if (req.body.name !== null && typeof req.body.name !== 'string') {
+      console.log('PATCH /api/admin/customers/:id - Invalid name');
+      return res.status(400).json({ error: 'name must be a string' });
+    }
+    updates.name = req.body.name?.trim() || null;
+    if (updates.name && updates.name.length > CUSTOMER_NAME_MAX_LENGTH) {
+      console.log('PATCH /api/admin/customers/:id - Name too long');
+      return res.status(400).json({ error: `name can be at most ${CUSTOMER_NAME_MAX_LENGTH} characters` });
+    }
+  }
+  if (!Object.keys(updates).length) {
+    console.log('PATCH /api/admin/customers/:id - Nothing to update');
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const { data: before, error: beforeError } = await supabase
+      .from('customers')
+      .select(CUSTOMER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (beforeError) throw beforeError;
+    if (!before) {
+      console.log('PATCH /api/admin/customers/:id - Customer not found');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('customers')
+      .update(updates)
+      .eq('id', id)
+      .select(CUSTOMER_FIELDS)
+      .single();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/customers/:id - Phone taken');
+        return res.status(409).json({ error: 'Another customer has this phone number' });
+      }
+      throw error;
+    }
+
+    await recordAudit(req, { entity: 'customer', id: data.id, action: 'update', before, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/customers/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update customer: ${error.message}` });
+  }
+});
+
+// Correct a customer's points balance (admin). Body: { points (signed), reason }.
+app.post('/api/admin/customers/:id/points', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { points } = req.body;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!Number.isInteger(points) || points === 0) {
+    console.log('POST /api/admin/customers/:id/points - Invalid points');
+    return res.status(400).json({ error: 'points must be a whole number other than zero' });
+  }
+  if (!reason) {
+    console.log('POST /api/admin/customers/:id/points - Missing reason');
+    return res.status(400).json({ error: 'A reason is required for points corrections' });
+  }
+
+  try {
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select(CUSTOMER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!customer) {
+      console.log('POST /api/admin/customers/:id/points - Customer not found');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const balance = await applyLoyaltyPoints(customer.id, points, 'adjustment', { staffId: req.staff.id, reason });
+    if (balance === null) {
+      console.log('POST /api/admin/customers/:id/points - Balance would go negative');
+      return res.status(400).json({ error: 'The customer does not have that many points' });
+    }
+
+    const data = { ...customer, points_balance: balance };
+    await recordAudit(req, { entity: 'customer', id: customer.id, action: 'points', before: customer, after: data });
+    res.json(data);
+  } catch (error) {
+    console.error('POST /api/admin/customers/:id/points - Error:', error);
+    res.status(500).json({ error: `Failed to adjust points: ${error.message}` });
+  }
+});
+
+// Get the tax invoice of a paid order as JSON, or as printable HTML with ?format=html. Staff can
+// read any invoice; customers need their table's QR token (?table_token=).
+app.get('/api/orders/:id/invoice', async (req, res) => {
+  const { id } = req.params;
+  const { format, table_token } = req.query;
+  if (!req.staff && !table_token) {
+    console.log('GET /api/orders/:id/invoice - Authentication required');
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, table_id, status')
+      .eq('id', id)
+      .maybeSingle();
+    if (orderError) throw orderError;
+    if (!order) {
+      console.log('GET /api/orders/:id/invoice - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!req.staff) {
+      const { error: tokenError } = await verifyTableToken(table_token, order.table_id);
+      if (tokenError) {
+        console.log('GET /api/orders/:id/invoice - Table token rejected:', tokenError);
+        return res.status(403).json({ error: tokenError });
+      }
+    }
+
+    const invoice = await fetchInvoice(id);
+    if (!invoice) {
+      console.log('GET /api/orders/:id/invoice - No invoice');
+      return res.status(404).json({
+        error: order.status === 'paid' ? 'The invoice has not been issued yet' : 'Invoices are only issued for paid orders'
+      });
+    }
+
+    if (format === 'html') {
+      res.header('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderInvoiceHtml(invoice));
+    }
+    res.json(invoice);
+  } catch (error) {
+    console.error('GET /api/orders/:id/invoice - Error:', error);
+    res.status(500).json({ error: `Failed to fetch invoice: ${error.message}` });
+  }
+});
+
+// Issue the invoice of a paid order whose invoice failed when it was paid. Orders that already
+// have one get it back.
+app.post('/api/orders/:id/invoice', requireRole('cashier', 'admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .maybeSingle();
+    if (orderError) throw orderError;
+    if (!order) {
+      console.log('POST /api/orders/:id/invoice - Order not found');
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status !== 'paid') {
+      console.log('POST /api/orders/:id/invoice - Order not paid');
+      return res.status(400).json({ error: 'Invoices are only issued for paid orders' });
+    }
+
+    res.json(await issueInvoice(order, await getTaxSettings(order.outlet_id)));
+  } catch (error) {
+    console.error('POST /api/orders/:id/invoice - Error:', error);
+    res.status(500).json({ error: `Failed to issue invoice: ${error.message}` });
+  }
+});
+
+// List invoices, newest first (admin). Filter with ?startDate=&endDate= or ?financialYear=; each
+// outlet has its own series.
+app.get('/api/admin/invoices', requireRole('admin'), async (req, res) => {
+  const { startDate, endDate, financialYear: year } = req.query;
+  try {
+    let query = supabase
+      .from('invoices')
+      .select(INVOICE_FIELDS)
+      .order('issued_at', { ascending: false });
+    if (startDate && endDate) {
+      query = query.gte('issued_at', startDate).lte('issued_at', endDate);
+    }
+    if (year) query = query.eq('financial_year', year);
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/invoices - Error:', error);
+    res.status(500).json({ error: `Failed to fetch invoices: ${error.message}` });
+  }
+});
+
+const SETTINGS_FIELDS = 'id, outlet_id, latitude, longitude, geofence_radius_meters, customer_verification, qr_token_ttl_minutes, opening_hours, ' +
+  'stock_deduct_on, ' + TAX_SETTINGS_FIELDS;
+
+// Get the selected outlet's settings (admin)
+app.get('/api/admin/settings', requireRole('admin'), requireOutlet, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('cafe_settings')
+      .select(SETTINGS_FIELDS)
+      .eq('outlet_id', req.outletId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('GET /api/admin/settings - Outlet not found');
+      return res.status(404).json({ error: 'Outlet not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('GET /api/admin/settings - Error:', error);
+    res.status(500).json({ error: `Failed to fetch settings: ${error.message}` });
+  }
+});
+
+// Update the selected outlet's settings (admin)
+app.patch('/api/admin/settings', requireRole('admin'), requireOutlet, async (req, res) => {
+  const updates = {};
+  for (const field of ['latitude', 'longitude', 'geofence_radius_meters', 'service_charge_percent', 'loyalty_points_per_100', 'loyalty_point_value']) {
+    if (req.body[field] === undefined) continue;
+    const value = parseFloat(req.body[field]);
+    if (!Number.isFinite(value) || (field !== 'latitude' && field !== 'longitude' && value < 0)) {
+      console.log(`PATCH /api/admin/settings - Invalid ${field}`);
+      return res.status(400).json({ error: `${field} must be a valid number` });
+    }
+    updates[field] = value;
+  }
+  for (const field of ['invoice_prefix', 'legal_name', 'gstin', 'address', 'phone']) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field] || null;
+  }
+  const {
+    default_gst_rate, prices_include_tax, rounding, customer_verification, qr_token_ttl_minutes, stock_deduct_on,
+    loyalty_min_redeem_points
+  } = req.body;
+  if (default_gst_rate !== undefined) {
+    if (!GST_RATES.includes(default_gst_rate)) {
+      console.log('PATCH /api/admin/settings - Invalid GST rate');
+      return res.status(400).json({ error: `default_gst_rate must be one of ${GST_RATES.join(', ')}` });
+    }
+    updates.default_gst_rate = default_gst_rate;
+  }
+  if (prices_include_tax !== undefined) {
+    if (typeof prices_include_tax !== 'boolean') {
+      console.log('PATCH /api/admin/settings - Invalid prices_include_tax');
+      return res.status(400).json({ error: 'prices_include_tax must be a boolean' });
+    }
+    updates.prices_include_tax = prices_include_tax;
+  }
+  if (rounding !== undefined) {
+    if (!ROUNDING_MODES.includes(rounding)) {
+      console.log('PATCH /api/admin/settings - Invalid rounding');
+      return res.status(400).json({ error: `rounding must be one of ${ROUNDING_MODES.join(', ')}` });
+    }
+    updates.rounding = rounding;
+  }
+  if (customer_verification !== undefined) {
+    if (!CUSTOMER_VERIFICATION_MODES.includes(customer_verification)) {
+      console.log('PATCH /api/admin/settings - Invalid customer_verification');
+      return res.status(400).json({ error: `customer_verification must be one of ${CUSTOMER_VERIFICATION_MODES.join(', ')}` });
+    }
+    updates.customer_verification = customer_verification;
+  }
+  if (qr_token_ttl_minutes !== undefined) {
+    if (!Number.isInteger(qr_token_ttl_minutes) || qr_token_ttl_minutes < 5 || qr_token_ttl_minutes > 366 * 24 * 60) {
+      console.log('PATCH /api/admin/settings - Invalid qr_token_ttl_minutes');
+      return res.status(400).json({ error: 'qr_token_ttl_minutes must be a whole number of minutes, up to a year' });
+    }
+    updates.qr_token_ttl_minutes = qr_token_ttl_minutes;
+  }
+  if (stock_deduct_on !== undefined) {
+    if (!STOCK_DEDUCTION_MODES.includes(stock_deduct_on)) {
+      console.log('PATCH /api/admin/settings - Invalid stock_deduct_on');
+      return res.status(400).json({ error: `stock_deduct_on must be one of ${STOCK_DEDUCTION_MODES.join(', ')}` });
+    }
+    updates.stock_deduct_on = stock_deduct_on;
+  }
+  if (loyalty_min_redeem_points !== undefined) {
+    if (!Number.isInteger(loyalty_min_redeem_points) || loyalty_min_redeem_points < 0) {
+      console.log('PATCH /api/admin/settings - Invalid loyalty_min_redeem_points');
+      return res.status(400).json({ error: 'loyalty_min_redeem_points must be a whole number of points' });
+    }
+    updates.loyalty_min_redeem_points = loyalty_min_redeem_points;
+  }
+  if (req.body.opening_hours !== undefined) {
+    const { data: hours, error: hoursError } = parseSchedule(req.body.opening_hours, 'opening_hours');
+    if (hoursError) {
+      console.log('PATCH /api/admin/settings - Invalid opening hours:', hoursError);
+      return res.status(400).json({ error: hoursError });
+    }
+    updates.opening_hours = hours;
+  }
+  if (updates.invoice_prefix && !/^[A-Za-z0-9]{1,6}$/.test(updates.invoice_prefix)) {
+    console.log('PATCH /api/admin/settings - Invalid invoice prefix');
+    return res.status(400).json({ error: 'invoice_prefix must be 1-6 letters or digits' });
+  }
+  if (!Object.keys(updates).length) {
+    console.log('PATCH /api/admin/settings - Nothing to update');
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('cafe_settings')
+      .update(updates)
+      .eq('outlet_id', req.outletId)
+      .select(SETTINGS_FIELDS)
+      .maybeSingle();
+    if (error) {
+      if (error.code === '23505') {
+        console.log('PATCH /api/admin/settings - Invoice prefix taken');
+        return res.status(409).json({ error: 'Another outlet already uses this invoice prefix' });
+      }
+      throw error;
+    }
+    if (!data) {
+      console.log('PATCH /api/admin/settings - Outlet not found');
+      return res.status(404).json({ error: 'Outlet not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/settings - Error:', error);
+    res.status(500).json({ error: `Failed to update settings: ${error.message}` });
+  }
+});
+
+// Whether the café is open for customer orders, with the next opening time when it is not.
+// Customers name the outlet with ?table_id= or ?outlet_id= (see resolveCustomerOutlet).
+app.get('/api/cafe/status', async (req, res) => {
+  try {
+    const { data: outletId, status, error: outletError } = req.outletId
+      ? { data: req.outletId }
+      : await resolveCustomerOutlet(req.query);
+    if (outletError) {
+      console.log('GET /api/cafe/status - No outlet:', outletError);
+      return res.status(status).json({ error: outletError });
+    }
+    res.json(await getCafeStatus(outletId));
+  } catch (error) {
+    console.error('GET /api/cafe/status - Error:', error);
+    res.status(500).json({ error: `Failed to fetch cafe status: ${error.message}` });
+  }
+});
+
+// List today's and upcoming closures (admin): those of the selected outlet and those shutting
+// every outlet, or all of them for owners
+app.get('/api/admin/closures', requireRole('admin'), async (req, res) => {
+  try {
+    let query = supabase
+      .from('cafe_closures')
+      .select(CLOSURE_FIELDS)
+      .gte('ends_on', cafeLocalTime().date)
+      .order('starts_on');
+    if (req.outletId) query = query.or(`outlet_id.is.null,outlet_id.eq.${req.outletId}`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/closures - Error:', error);
+    res.status(500).json({ error: `Failed to fetch closures: ${error.message}` });
+  }
+});
+
+// Close the selected outlet for one or more whole days (admin). Owners who select no outlet
+// close every outlet.
+app.post('/api/admin/closures', requireRole('admin'), async (req, res) => {
+  const { starts_on, reason } = req.body;
+  const ends_on = req.body.ends_on || starts_on;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+  if (!isDate(starts_on) || !isDate(ends_on) || ends_on < starts_on) {
+    console.log('POST /api/admin/closures - Invalid dates');
+    return res.status(400).json({ error: 'starts_on (and optional ends_on, not before it) must be YYYY-MM-DD dates' });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('cafe_closures')
+      .insert([{ outlet_id: req.outletId, starts_on, ends_on, reason: reason || null }])
+      .select(CLOSURE_FIELDS)
+      .single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/closures - Error:', error);
+    res.status(500).json({ error: `Failed to create closure: ${error.message}` });
+  }
+});
+
+// Remove a closure (admin). With an outlet selected only that outlet's closures can be removed;
+// those shutting every outlet are the owner's.
+app.delete('/api/admin/closures/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    let query = supabase
+      .from('cafe_closures')
+      .delete()
+      .eq('id', id);
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/closures/:id - Closure not found');
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/closures/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete closure: ${error.message}` });
+  }
+});
+
+// Printing: kitchen order tickets (KOT) and customer receipts on ESC/POS printers.
+// Jobs are stored in print_jobs and printed by a background queue with retries.
+// A printer's interface is a tcp://host:port address, a device path listed in
+// PRINTER_DEVICE_PATHS (comma-separated, e.g. /dev/usb/lp0), or 'buffer' to keep the rendered
+// bytes on the job instead of sending them anywhere (useful for testing).
+const PRINT_JOB_KINDS = ['kot', 'receipt'];
+const PRINTER_DEVICE_PATHS = (process.env.PRINTER_DEVICE_PATHS || '').split(',').map(path => path.trim()).filter(Boolean);
+const PRINT_QUEUE_INTERVAL_MS = 5 * 1000;
+const PRINT_MAX_ATTEMPTS = 5;
+const PRINT_RETRY_DELAY_MS = 15 * 1000;
+// A job still 'printing' this long after it was claimed was left by a process that stopped mid-print
+const PRINT_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+const PRINTER_FIELDS = 'id, outlet_id, name, station, type, interface, width, categories, prints_receipts, is_active';
+const PRINT_JOB_FIELDS = 'id, printer_id, order_id, kind, status, attempts, last_error, created_at, printed_at';
+
+// Quantities per order line, keyed by item and modifiers
+function quantitiesByLine(items) {
+  const quantities = new Map();
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const key = orderLineKey(item.item_id, (item.modifiers || []).map(modifier => modifier.option_id));
+    quantities.set(key, (quantities.get(key) || 0) + (item.quantity || 1));
+  });
+  return quantities;
+}
+
+// Lines (or extra quantities) present in `items` but not in `previousItems`
+function addedOrderItems(items, previousItems) {
+  const previous = quantitiesByLine(previousItems);
+  return items.flatMap(item => {
+    const key = orderLineKey(item.item_id, (item.modifiers || []).map(modifier => modifier.option_id));
+    const alreadyOrdered = previous.get(key) || 0;
+    previous.set(key, Math.max(0, alreadyOrdered - (item.quantity || 1)));
+    const added = (item.quantity || 1) - alreadyOrdered;
+    return added > 0 ? [{ ...item, quantity: added }] : [];
+  });
+}
+
+// Queue a KOT per kitchen station of the order's outlet. Items go to the printers whose categories include them,
+// or to catch-all printers (no categories) when no station claims the category.
+// Pass the order's previous items to only print what was added, or voidedItems for a VOID ticket.
+async function queueKitchenTickets(order, previousItems = null, { reprint = false, voidedItems = null } = {}) {
+  const items = voidedItems || (previousItems ? addedOrderItems(order.items || [], previousItems) : order.items || []);
+  if (!items.length) return [];
+
+  const [{ data: printers, error }, { data: table }] = await Promise.all([
+    supabase.from('printers').select(PRINTER_FIELDS).eq('outlet_id', order.outlet_id).eq('is_active', true).eq('prints_receipts', false),
+    supabase.from('tables').select('number').eq('id', order.table_id).maybeSingle()
+  ]);
+  if (error) throw error;
+  if (!printers.length) return [];
+
+  const jobs = printers.map(printer => {
+    const stationItems = items.filter(item => {
+      if (printer.categories && printer.categories.length) return printer.categories.includes(item.category);
+      return !printers.some(other => other.categories && other.categories.includes(item.category));
+    });
+    if (!stationItems.length) return null;
+    return {
+      printer_id: printer.id,
+      order_id: order.id,
+      kind: 'kot',
+      payload: {
+        order_number: order.order_number,
+        table_number: table?.number ?? null,
+        station: printer.station,
+        items: stationItems,
+        notes: order.notes,
+        is_addition: Boolean(previousItems),
+        is_void: Boolean(voidedItems),
+        is_reprint: reprint,
+        created_at: order.created_at
+      }
+    };
+  }).filter(Boolean);
+  if (!jobs.length) return [];
+
+  const { data, error: insertError } = await supabase.from('print_jobs').insert(jobs).select(PRINT_JOB_FIELDS);
+  if (insertError) throw insertError;
+  return data;
+}
+
+// Queue a customer receipt on every receipt printer of the order's outlet
+async function queueReceipt(order, invoice, { reprint = false } = {}) {
+  const [{ data: printers, error }, { data: table }] = await Promise.all([
+    supabase.from('printers').select(PRINTER_FIELDS).eq('outlet_id', order.outlet_id).eq('is_active', true).eq('prints_receipts', true),
+    supabase.from('tables').select('number').eq('id', order.table_id).maybeSingle()
+  ]);
+  if (error) throw error;
+  if (!printers.length) return [];
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  const { data, error: insertError } = await supabase
+    .from('print_jobs')
+    .insert(printers.map(printer => ({
+      printer_id: printer.id,
+      order_id: order.id,
+      kind: 'receipt',
+      payload: {
+        order_number: order.order_number,
+        table_number: table?.number ?? null,
+        items,
+        totals: invoice ? invoice.data.totals : order.totals,
+        discounts: order.discounts || [],
+        invoice_number: invoice?.invoice_number ?? null,
+        gstin: invoice?.data.seller.gstin ?? null,
+        payment_type: order.payment_type,
+        paid_at: order.paid_at,
+        is_reprint: reprint
+      }
+    })))
+    .select(PRINT_JOB_FIELDS);
+  if (insertError) throw insertError;
+  return data;
+}
+
+// Queue a table QR code slip on every receipt printer of the table's outlet
+async function queueTableQr(qr) {
+  const { data: printers, error } = await supabase
+    .from('printers')
+    .select(PRINTER_FIELDS)
+    .eq('outlet_id', qr.outlet_id)
+    .eq('is_active', true)
+    .eq('prints_receipts', true);
+  if (error) throw error;
+  if (!printers.length) return [];
+
+  const { data, error: insertError } = await supabase
+    .from('print_jobs')
+    .insert(printers.map(printer => ({
+      printer_id: printer.id,
+      order_id: null,
+      kind: 'table_qr',
+      payload: { table_number: qr.table_number, url: qr.url, expires_at: qr.expires_at }
+    })))
+    .select(PRINT_JOB_FIELDS);
+  if (insertError) throw insertError;
+  return data;
+}
+// Whether the print data may go to this interface. Any other path would let a printer write to
+// arbitrary files on the server.
+function isAllowedPrinterInterface(printerInterface) {
+  if (printerInterface === 'buffer' || PRINTER_DEVICE_PATHS.includes(printerInterface)) return true;
+  const match = /^tcp:\/\/([A-Za-z0-9.-]+|\[[0-9A-Fa-f:]+\]):(\d{1,5})$/.exec(printerInterface);
+  return Boolean(match && Number(match[2]) > 0 && Number(match[2]) <= 65535);
+}
+
+function formatAmount(amount) {
+  return (Math.round((amount || 0) * 100) / 100).toFixed(2);
+}
+
+// Render a job to ESC/POS bytes with node-thermal-printer
+function renderPrintJob(printerConfig, job) {
+  if (!isAllowedPrinterInterface(printerConfig.interface)) {
+    throw new Error(`Printer interface ${printerConfig.interface} is not allowed`);
+  }
+  const printer = new ThermalPrinter({
+    type: printerConfig.type || PrinterTypes.EPSON,
+    interface: printerConfig.interface === 'buffer' ? os.devNull : printerConfig.interface,
+    width: printerConfig.width || 48,
+    characterSet: CharacterSet.PC437_USA,
+    removeSpecialCharacters: true,
+    options: { timeout: 5000 }
+  });
+  const { payload } = job;
+
+  printer.alignCenter();
+  if (job.kind === 'table_qr') {
+    printer.setTextDoubleHeight();
+    printer.bold(true);
+    printer.println(`Table ${payload.table_number}`);
+    printer.bold(false);
+    printer.setTextNormal();
+    printer.println('Scan to see the menu and order');
+    printer.newLine();
+    printer.printQR(payload.url, { cellSize: 6, correction: 'M' });
+    printer.newLine();
+    printer.println(`Valid until ${new Date(payload.expires_at).toLocaleString('en-IN', { timeZone: CAFE_TIMEZONE })}`);
+    printer.cut();
+    return printer;
+  }
+  if (payload.is_reprint) printer.println('*** REPRINT ***');
+  printer.setTextDoubleHeight();
+  printer.bold(true);
+  if (job.kind === 'kot') {
+    printer.println(payload.is_void ? 'KOT - VOID' : payload.is_addition ? 'KOT - ADDITIONAL ITEMS' : 'KOT');
+    printer.println(`Table ${payload.table_number ?? 'N/A'}`);
+  } else {
+    printer.println('Valtri Cafe');
+    printer.setTextNormal();
+    if (payload.gstin) printer.println(`GSTIN: ${payload.gstin}`);
+    if (payload.invoice_number) printer.println(`Invoice ${payload.invoice_number}`);
+  }
+  printer.bold(false);
+  printer.setTextNormal();
+  printer.println(`Order #${payload.order_number ?? ''}`);
+  if (job.kind === 'kot' && payload.station) printer.println(payload.station.toUpperCase());
+  if (job.kind === 'receipt') printer.println(`Table ${payload.table_number ?? 'N/A'}`);
+  printer.println(new Date(payload.paid_at || payload.created_at || Date.now()).toLocaleString('en-IN', { timeZone: CAFE_TIMEZONE }));
+  printer.alignLeft();
+  printer.drawLine();
+
+  payload.items.forEach(item => {
+    if (job.kind === 'kot') {
+      printer.bold(true);
+      printer.println(`${item.quantity || 1} x ${item.name}`);
+      printer.bold(false);
+    } else {
+      printer.leftRight(`${item.quantity || 1} x ${item.name}`, formatAmount((item.price || 0) * (item.quantity || 1)));
+    }
+    (item.modifiers || []).forEach(modifier => printer.println(`   + ${modifier.name}`));
+    if (item.note) printer.println(`   * ${item.note}`);
+  });
+
+  printer.drawLine();
+  if (job.kind === 'kot') {
+    if (payload.notes) printer.println(`Notes: ${payload.notes}`);
+  } else {
+    const totals = payload.totals || {};
+    if (totals.discount_total) {
+      printer.leftRight('Gross', formatAmount(totals.gross_amount));
+      (payload.discounts || []).forEach(discount => printer.leftRight(discount.name, `-${formatAmount(discount.amount)}`));
+    }
+    printer.leftRight('Subtotal', formatAmount(totals.subtotal));
+    if (totals.service_charge) printer.leftRight('Service charge', formatAmount(totals.service_charge));
+    (totals.taxes || []).forEach(tax => {
+      printer.leftRight(`CGST @ ${tax.rate / 2}%`, formatAmount(tax.cgst));
+      printer.leftRight(`SGST @ ${tax.rate / 2}%`, formatAmount(tax.sgst));
+    });
+    if (totals.round_off) printer.leftRight('Round off', formatAmount(totals.round_off));
+    printer.bold(true);
+    printer.leftRight('TOTAL', `Rs. ${formatAmount(totals.total)}`);
+    printer.bold(false);
+    if (payload.payment_type) printer.leftRight('Paid by', payload.payment_type);
+    printer.alignCenter();
+    printer.newLine();
+    printer.println('Thank you, visit again!');
+  }
+  printer.cut();
+  return printer;
+}
+
+let printQueueRunning = false;
+
+// Put jobs left mid-print back in the queue. Jobs claimed recently may still be printing on
+// another instance, so only those claimed before PRINT_CLAIM_TIMEOUT_MS go back.
+async function requeueStalePrintJobs() {
+  const cutoff = new Date(Date.now() - PRINT_CLAIM_TIMEOUT_MS).toISOString();
+  const { error } = await supabase
+    .from('print_jobs')
+    .update({ status: 'queued' })
+    .eq('status', 'printing')
+    .or(`claimed_at.is.null,claimed_at.lt.${cutoff}`);
+  if (error) throw error;
+}
+
+// Print due jobs in order; failed jobs are retried with a delay until PRINT_MAX_ATTEMPTS
+async function processPrintQueue() {
+  if (printQueueRunning) return;
+  printQueueRunning = true;
+  try {
+    await requeueStalePrintJobs();
+    const { data: jobs, error } = await supabase
+      .from('print_jobs')
+      .select(`id, kind, payload, attempts, printers(${PRINTER_FIELDS})`)
+      .eq('status', 'queued')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('created_at', { ascending: true })
+      .limit(20);
+    if (error) throw error;
+
+    for (const job of jobs) {
+      // Claim the job so a second instance does not print it too
+      const { data: claimed, error: claimError } = await supabase
+        .from('print_jobs')
+        .update({ status: 'printing', claimed_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'queued')
+        .select('id')
+        .maybeSingle();
+      if (claimError) throw claimError;
+      if (!claimed) continue;
+
+      try {
+        if (!job.printers || !job.printers.is_active) throw new Error('Printer is missing or inactive');
+        const printer = renderPrintJob(job.printers, job);
+        const isBuffer = job.printers.interface === 'buffer';
+        if (!isBuffer) await printer.execute();
+
+        await supabase
+          .from('print_jobs')
+          .update({
+            status: 'printed',
+            attempts: job.attempts + 1,
+            last_error: null,
+            output: isBuffer ? printer.getBuffer().toString('base64') : null,
+            printed_at: new Date().toISOString()
+          })
+          .eq('id', job.id);
+      } catch (printError) {
+        const attempts = job.attempts + 1;
+        const message = printError instanceof Error ? printError.message : String(printError);
+        console.error(`Print queue - Job ${job.id} failed (attempt ${attempts}):`, message);
+        await supabase
+          .from('print_jobs')
+          .update({
+            status: attempts >= PRINT_MAX_ATTEMPTS ? 'failed' : 'queued',
+            attempts,
+            last_error: message,
+            next_attempt_at: new Date(Date.now() + PRINT_RETRY_DELAY_MS * attempts).toISOString()
+          })
+          .eq('id', job.id);
+      }
+    }
+  } catch (error) {
+    console.error('Print queue - Error:', error.message);
+  } finally {
+    printQueueRunning = false;
+  }
+}
+
+// Reprint a KOT or receipt for an order
+app.post('/api/orders/:id/print', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { id } = req.params;
+  const { kind } = req.body;
+  if (!PRINT_JOB_KINDS.includes(kind)) {
+    console.log('POST /api/orders/:id/print - Invalid kind');
+    return res.status(400).json({ error: 'Valid kind is required (kot, receipt)' });
+  }
+
+  try {
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('id', id)
+      .single();
+    if (orderError || !order) {
+      console.log('POST /api/orders/:id/print - Order not found:', orderError?.message);
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (kind === 'receipt' && order.status !== 'paid') {
+      console.log('POST /api/orders/:id/print - Order not paid');
+      return res.status(400).json({ error: 'Receipts can only be printed for paid orders' });
+    }
+
+    const jobs = kind === 'kot'
+      ? await queueKitchenTickets(order, null, { reprint: true })
+      : await queueReceipt(order, await fetchInvoice(order.id), { reprint: true });
+    if (!jobs.length) {
+      console.log('POST /api/orders/:id/print - No printer configured');
+      return res.status(400).json({ error: `No active printer is configured for ${kind === 'kot' ? 'kitchen tickets' : 'receipts'}` });
+    }
+
+    processPrintQueue();
+    res.status(202).json(jobs);
+  } catch (error) {
+    console.error('POST /api/orders/:id/print - Error:', error);
+    res.status(500).json({ error: `Failed to queue print job: ${error.message}` });
+  }
+});
+
+// Validate an admin printer payload. With `partial` only the supplied fields are checked.
+// Returns { data } with the columns to write, or { error } with a message for a 400 response.
+function parsePrinterInput(body, { partial = false } = {}) {
+  const { name, station, type, interface: printerInterface, width, categories, prints_receipts, is_active } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return { error: 'Printer name is required' };
+    data.name = name.trim();
+  }
+  if (printerInterface !== undefined || !partial) {
+    if (typeof printerInterface !== 'string' || !isAllowedPrinterInterface(printerInterface.trim())) {
+      return { error: "Interface must be tcp://host:port, a device path listed in PRINTER_DEVICE_PATHS or 'buffer'" };
+    }
+    data.interface = printerInterface.trim();
+  }
+  if (station !== undefined) data.station = station || 'kitchen';
+  if (type !== undefined) {
+    if (!Object.values(PrinterTypes).includes(type)) return { error: `Type must be one of ${Object.values(PrinterTypes).join(', ')}` };
+    data.type = type;
+  }
+  if (width !== undefined) {
+    if (!Number.isInteger(width) || width < 16) return { error: 'Width must be an integer of at least 16 characters' };
+    data.width = width;
+  }
+  if (categories !== undefined) {
+    if (categories !== null && !Array.isArray(categories)) return { error: 'Categories must be an array or null' };
+    data.categories = categories && categories.length ? categories : null;
+  }
+  for (const [field, value] of Object.entries({ prints_receipts, is_active })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') return { error: `${field} must be a boolean` };
+    data[field] = value;
+  }
+
+  if (partial && !Object.keys(data).length) return { error: 'No fields to update' };
+  return { data };
+}
+
+// List printers (admin), of the selected outlet or all of them
+app.get('/api/admin/printers', requireRole('admin'), async (req, res) => {
+  try {
+    let query = supabase.from('printers').select(PRINTER_FIELDS).order('id');
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data || []);
+  } catch (error) {
+    console.error('GET /api/admin/printers - Error:', error);
+    res.status(500).json({ error: `Failed to fetch printers: ${error.message}` });
+  }
+});
+
+// Create printer at the selected outlet (admin)
+app.post('/api/admin/printers', requireRole('admin'), requireOutlet, async (req, res) => {
+  const { data: input, error: inputError } = parsePrinterInput(req.body);
+  if (inputError) {
+    console.log('POST /api/admin/printers - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('printers')
+      .insert([{ ...input, outlet_id: req.outletId }])
+      .select(PRINTER_FIELDS)
+      .single();
+    if (error) throw error;
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('POST /api/admin/printers - Error:', error);
+    res.status(500).json({ error: `Failed to create printer: ${error.message}` });
+  }
+});
+
+// Update printer (admin)
+app.patch('/api/admin/printers/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const { data: input, error: inputError } = parsePrinterInput(req.body, { partial: true });
+  if (inputError) {
+    console.log('PATCH /api/admin/printers/:id - Invalid input:', inputError);
+    return res.status(400).json({ error: inputError });
+  }
+
+  try {
+    let query = supabase
+      .from('printers')
+      .update(input)
+      .eq('id', id);
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query.select(PRINTER_FIELDS).maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('PATCH /api/admin/printers/:id - Printer not found');
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    res.json(data);
+  } catch (error) {
+    console.error('PATCH /api/admin/printers/:id - Error:', error);
+    res.status(500).json({ error: `Failed to update printer: ${error.message}` });
+  }
+});
+
+// Delete printer and its print jobs (admin)
+app.delete('/api/admin/printers/:id', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    let query = supabase
+      .from('printers')
+      .delete()
+      .eq('id', id);
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query.select('id').maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      console.log('DELETE /api/admin/printers/:id - Printer not found');
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('DELETE /api/admin/printers/:id - Error:', error);
+    res.status(500).json({ error: `Failed to delete printer: ${error.message}` });
+  }
+});
 
-    const validItems = items.map(item => ({
-      item_id: item.item_id,
-      name: item.name || 'Unknown',
-      price: parseFloat(item.price) || 0,
-      quantity: parseInt(item.quantity) || 1,
-      category: item.category || '',
-      note: item.note || ''
-    }));
+// List print jobs, newest first (staff). Filter with ?status= and ?order_id=
+app.get('/api/print-jobs', requireRole(...STAFF_ROLES), async (req, res) => {
+  const { status, order_id } = req.query;
+  try {
+    let query = supabase
+      .from('print_jobs')
+      .select(`${PRINT_JOB_FIELDS}, printers!inner(name, station, outlet_id)`)
+      .order('created_at', { ascending: false })
+      .limit(100);
+    if (status) query = query.eq('status', status);
+    if (order_id) query = query.eq('order_id', order_id);
+    if (req.outletId) query = query.eq('printers.outlet_id', req.outletId);
 
-    const { data, error } = await supabase
-      .from('orders')
-      .update({ items: validItems, notes: notes || null })
-      .eq('id', id)
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type')
-      .single();
+    const { data, error } = await query;
     if (error) throw error;
-
-    res.json(data);
+    res.json(data || []);
   } catch (error) {
-    console.error('PATCH /api/orders/:id - Error:', error);
-    res.status(500).json({ error: `Failed to update order: ${error.message}` });
+    console.error('GET /api/print-jobs - Error:', error);
+    res.status(500).json({ error: `Failed to fetch print jobs: ${error.message}` });
   }
 });
 
-// Get order by ID
-app.get('/api/orders/:id', async (req, res) => {
+// Retry a failed print job on one of the outlet's printers (staff)
+app.post('/api/print-jobs/:id/retry', requireRole(...STAFF_ROLES), async (req, res) => {
   const { id } = req.params;
   try {
+    // Updates can't filter on the printer, so check the job is this outlet's first
+    let jobQuery = supabase.from('print_jobs').select('id, printers!inner(outlet_id)').eq('id', id);
+    if (req.outletId) jobQuery = jobQuery.eq('printers.outlet_id', req.outletId);
+    const { data: job, error: jobError } = await jobQuery.maybeSingle();
+    if (jobError) throw jobError;
+    if (!job) {
+      console.log('POST /api/print-jobs/:id/retry - Print job not found');
+      return res.status(404).json({ error: 'Failed print job not found' });
+    }
+
     const { data, error } = await supabase
-      .from('orders')
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type, tables(number)')
-      .eq('id', id)
-      .single();
+      .from('print_jobs')
+      .update({ status: 'queued', attempts: 0, last_error: null, next_attempt_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'failed')
+      .select(PRINT_JOB_FIELDS)
+      .maybeSingle();
     if (error) throw error;
     if (!data) {
-      console.log('GET /api/orders/:id - Order not found');
-      return res.status(404).json({ error: 'Order not found' });
+      console.log('POST /api/print-jobs/:id/retry - Failed job not found');
+      return res.status(404).json({ error: 'Failed print job not found' });
     }
-    res.json(data);
+
+    processPrintQueue();
+    res.status(202).json(data);
   } catch (error) {
-    console.error('GET /api/orders/:id - Error:', error);
-    res.status(500).json({ error: `Failed to fetch order: ${error.message}` });
+    console.error('POST /api/print-jobs/:id/retry - Error:', error);
+    res.status(500).json({ error: `Failed to retry print job: ${error.message}` });
   }
 });
 
-// Mark order as paid
-app.patch('/api/orders/:id/pay', async (req, res) => {
+// Raw ESC/POS bytes of a job printed to one of the outlet's 'buffer' printers (admin)
+app.get('/api/admin/print-jobs/:id/output', requireRole('admin'), async (req, res) => {
   const { id } = req.params;
-  const { payment_type } = req.body;
-  if (!payment_type || !['UPI', 'Cash', 'Bank', 'Card'].includes(payment_type)) {
-    console.log('PATCH /api/orders/:id/pay - Invalid payment type');
-    return res.status(400).json({ error: 'Valid payment type is required (UPI, Cash, Bank, Card)' });
-  }
-
   try {
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .select('id')
-      .eq('id', id)
-      .single();
-    if (orderError || !order) {
-      console.log('PATCH /api/orders/:id/pay - Order not found:', orderError?.message);
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    let query = supabase
+      .from('print_jobs')
+      .select('id, output, printers!inner(outlet_id)')
+      .eq('id', id);
+    if (req.outletId) query = query.eq('printers.outlet_id', req.outletId);
 
-    const { data, error } = await supabase
-      .from('orders')
-      .update({ status: 'paid', payment_type })
-      .eq('id', id)
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type')
-      .single();
+    const { data, error } = await query.maybeSingle();
     if (error) throw error;
+    if (!data || !data.output) {
+      console.log('GET /api/admin/print-jobs/:id/output - No output');
+      return res.status(404).json({ error: 'No buffered output for this print job' });
+    }
 
-    res.json(data);
+    res.header('Content-Type', 'application/octet-stream');
+    res.attachment(`print-job-${data.id}.bin`);
+    res.send(Buffer.from(data.output, 'base64'));
   } catch (error) {
-    console.error('PATCH /api/orders/:id/pay - Error:', error);
-    res.status(500).json({ error: `Failed to mark order as paid: ${error.message}` });
+    console.error('GET /api/admin/print-jobs/:id/output - Error:', error);
+    res.status(500).json({ error: `Failed to fetch print output: ${error.message}` });
   }
 });
 
-// Get pending orders (admin)
-app.get('/api/admin/orders', async (req, res) => {
+// Get open (unpaid, not cancelled) orders (admin)
+app.get('/api/admin/orders', requireRole('admin'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('orders')
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type, tables(number)')
-      .eq('status', 'pending')
+      .select(`${ORDER_FIELDS}, tables(number)`)
+      .in('status', ACTIVE_ORDER_STATUSES)
+      .match(req.outletId ? { outlet_id: req.outletId } : {})
       .order('created_at', { ascending: true });
     if (error) throw error;
     res.json(data || []);
   } catch (error) {
     console.error('GET /api/admin/orders - Error:', error);
-    res.status(500).json({ error: `Failed to fetch pending orders: ${error.message}` });
+    res.status(500).json({ error: `Failed to fetch open orders: ${error.message}` });
   }
 });
 
-// Get order history (admin)
-app.get('/api/admin/orders/history', async (req, res) => {
-  const { startDate, endDate, statuses, search, aggregate } = req.query;
+// Order history filters, shared by the history and the export:
+//   ?startDate=&endDate=         created_at range (either end may be left open)
+//   ?statuses=                   comma-separated order statuses
+//   ?paymentTypes=               comma-separated payment types; 'Split' matches split bills
+//   ?minTotal=&maxTotal=         order total range
+//   ?table=                      comma-separated table numbers
+//   ?search=                     order number or table number (exact, '#12' or '12'), item name or notes
+const ORDER_HISTORY_PAYMENT_TYPES = [...PAYMENT_TYPES, 'Split'];
+
+// Validate the history filters, resolving table numbers to IDs (at the outlet, when one is
+// given). Resolves { data: filters } or { error }.
+async function parseOrderHistoryFilters(query, outletId = null) {
+  const { startDate, endDate, statuses, paymentTypes, minTotal, maxTotal, table } = query;
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  const list = value => (typeof value === 'string' && value ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+  const filters = {
+    startDate: startDate || null,
+    endDate: endDate || null,
+    statuses: list(statuses),
+    paymentTypes: list(paymentTypes),
+    minTotal: null,
+    maxTotal: null,
+    tableIds: null,
+    search: null,
+    outletId
+  };
+
+  if ([startDate, endDate].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+    return { error: 'startDate and endDate must be dates' };
+  }
+  if (filters.statuses.some(s => !ORDER_STATUSES.includes(s))) {
+    return { error: `Status must be one of ${ORDER_STATUSES.join(', ')}` };
+  }
+  if (filters.paymentTypes.some(type => !ORDER_HISTORY_PAYMENT_TYPES.includes(type))) {
+    return { error: `Payment type must be one of ${ORDER_HISTORY_PAYMENT_TYPES.join(', ')}` };
+  }
+  for (const [key, value] of [['minTotal', minTotal], ['maxTotal', maxTotal]]) {
+    if (value === undefined || value === '') continue;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) return { error: `${key} must be a non-negative number` };
+    filters[key] = amount;
+  }
+  if (filters.minTotal !== null && filters.maxTotal !== null && filters.minTotal > filters.maxTotal) {
+    return { error: 'minTotal cannot be greater than maxTotal' };
+  }
+
+  // Table numbers (from ?table= and a numeric search) become table IDs, since the joined
+  // tables.number cannot be filtered inside an .or() on orders
+  const tableNumbers = list(table);
+  if (tableNumbers.some(number => !/^\d+$/.test(number))) {
+    return { error: 'table must be a comma-separated list of table numbers' };
+  }
+  const searchNumber = /^#?\d+$/.test(search) ? Number(search.replace('#', '')) : null;
+  const lookup = [...tableNumbers.map(Number), ...(searchNumber !== null ? [searchNumber] : [])];
+  let tables = [];
+  if (lookup.length) {
+    let tablesQuery = supabase.from('tables').select('id, number').in('number', lookup);
+    if (outletId) tablesQuery = tablesQuery.eq('outlet_id', outletId);
+    const { data, error } = await tablesQuery;
+    if (error) throw error;
+    tables = data;
+  }
+  if (tableNumbers.length) {
+    filters.tableIds = tables.filter(t => tableNumbers.includes(String(t.number))).map(t => t.id);
+  }
+
+  if (search) {
+    filters.search = {
+      text: search,
+      orderNumber: searchNumber,
+      tableIds: searchNumber !== null ? tables.filter(t => t.number === searchNumber).map(t => t.id) : []
+    };
+  }
+  return { data: filters };
+}
+
+// A value quoted for a PostgREST .or() list, so commas and parentheses in it are taken literally
+function postgrestQuote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Apply parsed history filters to an orders query
+function applyOrderHistoryFilters(query, filters) {
+  if (filters.outletId) query = query.eq('outlet_id', filters.outletId);
+  if (filters.startDate) query = query.gte('created_at', filters.startDate);
+  if (filters.endDate) query = query.lte('created_at', filters.endDate);
+  if (filters.statuses.length) query = query.in('status', filters.statuses);
+  if (filters.paymentTypes.length) query = query.in('payment_type', filters.paymentTypes);
+  if (filters.minTotal !== null) query = query.gte('total', filters.minTotal);
+  if (filters.maxTotal !== null) query = query.lte('total', filters.maxTotal);
+  // Unknown table numbers match nothing rather than everything
+  if (filters.tableIds) query = query.in('table_id', filters.tableIds.length ? filters.tableIds : [-1]);
+
+  if (filters.search) {
+    const { text, orderNumber, tableIds } = filters.search;
+    // % and _ are ILIKE wildcards; item_names is the generated list of item names on the order
+    const pattern = postgrestQuote(`%${text.replace(/[\\%_]/g, '\\$&')}%`);
+    const conditions = [`notes.ilike.${pattern}`, `item_names.ilike.${pattern}`];
+    if (orderNumber !== null) conditions.push(`order_number.eq.${orderNumber}`);
+    if (tableIds.length) conditions.push(`table_id.in.(${tableIds.join(',')})`);
+    query = query.or(conditions.join(','));
+  }
+  return query;
+}
+
+// Order history sorting and keyset pagination. The cursor is the sort value and id of the
+// last row returned; rows with no value for the sort column come last in either direction.
+const ORDER_HISTORY_SORTS = ['created_at', 'total', 'order_number'];
+const ORDER_HISTORY_DEFAULT_LIMIT = 50;
+const ORDER_HISTORY_MAX_LIMIT = 200;
+
+function encodeHistoryCursor(order, sort) {
+  return Buffer.from(JSON.stringify([order[sort] ?? null, order.id])).toString('base64url');
+}
+
+function decodeHistoryCursor(cursor) {
   try {
-    let query = supabase
-      .from('orders')
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type, tables(number)')
-      .order('created_at', { ascending: false });
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(value) && value.length === 2 && typeof value[1] === 'string' ? value : null;
+  } catch {
+    return null;
+  }
+}
 
-    // Date range filter (treat as IST)
-    if (startDate && endDate) {
-      query = query.gte('created_at', startDate).lte('created_at', endDate);
-    }
+// Rows after the cursor in (sort, id) order
+function applyHistoryCursor(query, sort, ascending, [value, id]) {
+  const after = ascending ? 'gt' : 'lt';
+  const idAfter = `id.${after}.${postgrestQuote(id)}`;
+  if (value === null) return query.or(`and(${sort}.is.null,${idAfter})`);
+  const quoted = postgrestQuote(value);
+  return query.or(`${sort}.${after}.${quoted},${sort}.is.null,and(${sort}.eq.${quoted},${idAfter})`);
+}
 
-    // Status filter
-    if (statuses) {
-      const statusArray = statuses.split(',').map(s => s.trim());
-      query = query.in('status', statusArray);
-    }
+// Get order history (admin). Takes the history filters plus ?sort=created_at|total|order_number,
+// ?order=desc|asc, ?limit= and ?cursor= (next_cursor of the previous page). Responds with
+// { orders, total, next_cursor }, total being the number of orders matching the filters.
+app.get('/api/admin/orders/history', requireRole('admin'), async (req, res) => {
+  const { aggregate, cursor } = req.query;
+  const sort = req.query.sort || 'created_at';
+  const ascending = req.query.order === 'asc';
+  const limit = req.query.limit === undefined ? ORDER_HISTORY_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!ORDER_HISTORY_SORTS.includes(sort)) {
+    console.log('GET /api/admin/orders/history - Invalid sort');
+    return res.status(400).json({ error: `sort must be one of ${ORDER_HISTORY_SORTS.join(', ')}` });
+  }
+  if (req.query.order && !['asc', 'desc'].includes(req.query.order)) {
+    console.log('GET /api/admin/orders/history - Invalid order');
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > ORDER_HISTORY_MAX_LIMIT) {
+    console.log('GET /api/admin/orders/history - Invalid limit');
+    return res.status(400).json({ error: `limit must be between 1 and ${ORDER_HISTORY_MAX_LIMIT}` });
+  }
+  const after = cursor ? decodeHistoryCursor(cursor) : null;
+  if (cursor && !after) {
+    console.log('GET /api/admin/orders/history - Invalid cursor');
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
 
-    // Search by order_number or table number
-    if (search) {
-      const sanitizedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      query = query.or(`order_number.ilike.%${sanitizedSearch}%,tables.number.ilike.%${sanitizedSearch}%`);
+  try {
+    const filters = await parseOrderHistoryFilters(req.query, req.outletId);
+    if (filters.error) {
+      console.log('GET /api/admin/orders/history - Invalid filters:', filters.error);
+      return res.status(400).json({ error: filters.error });
     }
 
-    // Handle aggregations
+    // Handle aggregations (over every matching order, not a page)
     if (aggregate) {
-      const { data, error } = await query;
+      const { data, error } = await applyOrderHistoryFilters(
+        supabase.from('orders').select('id, items, discounts, refunds(amount, created_at)'),
+        filters.data
+      );
       if (error) throw error;
 
       if (aggregate === 'revenue') {
-        const totalRevenue = data.reduce((sum, order) => {
+        const grossRevenue = data.reduce((sum, order) => {
           if (!Array.isArray(order.items)) {
             console.warn(`Order ${order.id} has invalid items: ${order.items}`);
             return sum;
           }
           return sum + order.items.reduce((s, item) => s + (item.price || 0) * (item.quantity || 1), 0);
         }, 0);
-        return res.json({ totalRevenue });
+        const totalDiscounts = roundAmount(data.reduce(
+          (sum, order) => sum + (order.discounts || []).reduce((s, discount) => s + (discount.amount || 0), 0),
+          0
+        ));
+        // Refunds of these orders come off on the day they were given, if that is in the range
+        const { startDate, endDate } = filters.data;
+        const totalRefunds = roundAmount(data
+          .flatMap(order => order.refunds || [])
+          .filter(refund => (!startDate || new Date(refund.created_at) >= new Date(startDate))
+            && (!endDate || new Date(refund.created_at) <= new Date(endDate)))
+          .reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+        return res.json({ totalRevenue: roundAmount(grossRevenue - totalDiscounts - totalRefunds), totalDiscounts, totalRefunds });
       }
       if (aggregate === 'items_sold') {
         const totalItemsSold = data.reduce((sum, order) => {
@@ -411,65 +7418,473 @@ app.get('/api/admin/orders/history', async (req, res) => {
       }
     }
 
-    const { data, error } = await query;
-    if (error) throw error;
+    let pageQuery = applyOrderHistoryFilters(
+      supabase
+        .from('orders')
+        .select(`${ORDER_FIELDS}, tables(number)`)
+        .order(sort, { ascending, nullsFirst: false })
+        .order('id', { ascending }),
+      filters.data
+    );
+    if (after) pageQuery = applyHistoryCursor(pageQuery, sort, ascending, after);
 
-    res.json(data || []);
+    const [page, count] = await Promise.all([
+      // One extra row tells whether there is a next page
+      pageQuery.limit(limit + 1),
+      applyOrderHistoryFilters(supabase.from('orders').select('id', { count: 'exact', head: true }), filters.data)
+    ]);
+    if (page.error) throw page.error;
+    if (count.error) throw count.error;
+
+    const orders = page.data.slice(0, limit);
+    res.json({
+      orders,
+      total: count.count ?? 0,
+      next_cursor: page.data.length > limit ? encodeHistoryCursor(orders[orders.length - 1], sort) : null
+    });
   } catch (error) {
     console.error('GET /api/admin/orders/history - Error:', error);
     res.status(500).json({ error: `Failed to fetch order history: ${error.message}` });
   }
 });
 
-// Get pending orders (waiter)
-app.get('/api/orders', async (req, res) => {
+// Get orders by status (waiter, kitchen). `status` is one status or a comma-separated list;
+// without it all open orders are returned.
+app.get('/api/orders', requireRole(...STAFF_ROLES), async (req, res) => {
   const { status } = req.query;
-  if (status !== 'pending') {
+  const statusArray = status ? status.split(',').map(s => s.trim()) : ACTIVE_ORDER_STATUSES;
+  if (statusArray.some(s => !ORDER_STATUSES.includes(s))) {
     console.log('GET /api/orders - Invalid status');
-    return res.status(400).json({ error: 'Only pending status is supported' });
+    return res.status(400).json({ error: `Status must be one of ${ORDER_STATUSES.join(', ')}` });
   }
 
   try {
     const { data, error } = await supabase
       .from('orders')
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type, tables(number)')
-      .eq('status', 'pending')
+      .select(`${ORDER_FIELDS}, tables(number)`)
+      .in('status', statusArray)
+      .match(req.outletId ? { outlet_id: req.outletId } : {})
       .order('created_at', { ascending: false });
     if (error) throw error;
     res.json(data || []);
   } catch (error) {
     console.error('GET /api/orders - Error:', error);
-    res.status(500).json({ error: `Failed to fetch pending orders: ${error.message}` });
+    res.status(500).json({ error: `Failed to fetch orders: ${error.message}` });
   }
 });
 
-// Export orders as CSV (admin)
-app.get('/api/admin/orders/export', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('orders')
-      .select('id, order_number, created_at, table_id, items, status, notes, payment_type, tables(number)')
-      .order('created_at', { ascending: false });
+// Order export. Columns are shared by every format: `key` names the JSON Lines field,
+// `header` the CSV/XLSX column. Line mode has one row per order line with its share of the
+// order's discounts; order mode has one row per order. Refunds follow their order as negative
+// 'refund' entries dated when they were given.
+const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx'];
+const EXPORT_MODES = ['orders', 'items'];
+const EXPORT_PAGE_SIZE = 500;
+
+// Café-local 'YYYY-MM-DD HH:MM' of a stored timestamp
+function formatLocalDateTime(value) {
+  if (!value) return '';
+  const local = cafeLocalTime(parseDbTimestamp(value));
+  return `${local.date} ${formatTimeOfDay(local.minutes)}`;
+}
+
+const ORDER_EXPORT_COLUMNS = [
+  { key: 'entry', header: 'Entry', value: order => order.entry || 'sale' },
+  { key: 'order_number', header: 'Order Number', value: order => order.order_number ?? '' },
+  { key: 'order_id', header: 'Order ID', value: order => order.id },
+  { key: 'created_at', header: 'Created At', value: order => formatLocalDateTime(order.created_at) },
+  { key: 'outlet', header: 'Outlet', value: order => order.outlets?.name ?? '' },
+  { key: 'table_number', header: 'Table Number', value: order => order.tables?.number ?? '' },
+  { key: 'status', header: 'Status', value: order => order.status || '' },
+  { key: 'payment_status', header: 'Payment Status', value: order => order.payment_status || '' },
+  { key: 'payment_method', header: 'Payment Method', value: order => order.payment_type || '' },
+  { key: 'items', header: 'Items', value: order => (order.items || []).map(item => `${item.quantity || 1} x ${item.name}`).join('; ') },
+  { key: 'item_count', header: 'Item Count', value: order => (order.items || []).reduce((sum, item) => sum + (item.quantity || 1), 0) },
+  { key: 'gross', header: 'Gross', value: order => order.totals?.gross_amount ?? order.totals?.subtotal ?? null },
+  { key: 'discounts', header: 'Discounts', value: order => (order.discounts || []).map(discount => `${discount.name}: -${formatAmount(discount.amount)}`).join('; ') },
+  { key: 'discount_total', header: 'Discount Total', value: order => order.totals?.discount_total ?? 0 },
+  { key: 'subtotal', header: 'Subtotal', value: order => order.totals?.subtotal ?? null },
+  { key: 'service_charge', header: 'Service Charge', value: order => order.totals?.service_charge ?? null },
+  { key: 'tax', header: 'Tax', value: order => order.totals?.tax_total ?? null },
+  { key: 'round_off', header: 'Round Off', value: order => order.totals?.round_off ?? null },
+  { key: 'total', header: 'Total', value: order => order.total ?? null },
+  { key: 'amount_paid', header: 'Amount Paid', value: order => order.amount_paid ?? 0 },
+  { key: 'paid_at', header: 'Paid At', value: order => formatLocalDateTime(order.paid_at) },
+  { key: 'notes', header: 'Notes', value: order => order.notes || '' },
+  { key: 'cancel_reason', header: 'Cancel Reason', value: order => order.cancel_reason || '' }
+];
+
+const LINE_EXPORT_COLUMNS = [
+  { key: 'entry', header: 'Entry', value: ({ order }) => order.entry || 'sale' },
+  { key: 'order_number', header: 'Order Number', value: ({ order }) => order.order_number ?? '' },
+  { key: 'order_id', header: 'Order ID', value: ({ order }) => order.id },
+  { key: 'created_at', header: 'Created At', value: ({ order }) => formatLocalDateTime(order.created_at) },
+  { key: 'outlet', header: 'Outlet', value: ({ order }) => order.outlets?.name ?? '' },
+  { key: 'table_number', header: 'Table Number', value: ({ order }) => order.tables?.number ?? '' },
+  { key: 'status', header: 'Status', value: ({ order }) => order.status || '' },
+  { key: 'payment_method', header: 'Payment Method', value: ({ order }) => order.payment_type || '' },
+  { key: 'item_id', header: 'Item ID', value: ({ item }) => item.item_id ?? '' },
+  { key: 'item', header: 'Item', value: ({ item }) => item.name || '' },
+  { key: 'category', header: 'Category', value: ({ item }) => item.category || '' },
+  { key: 'modifiers', header: 'Modifiers', value: ({ item }) => (item.modifiers || []).map(modifier => modifier.name).join('; ') },
+  { key: 'quantity', header: 'Quantity', value: ({ item }) => item.quantity === null ? '' : item.quantity || 1 },
+  { key: 'unit_price', header: 'Unit Price', value: ({ item }) => item.price ?? '' },
+  { key: 'gross', header: 'Line Gross', value: ({ gross }) => gross },
+  { key: 'discount', header: 'Line Discount', value: ({ discount }) => discount },
+  { key: 'net', header: 'Line Net', value: ({ gross, discount }) => roundAmount(gross - discount) },
+  { key: 'gst_rate', header: 'GST Rate', value: ({ item }) => item.gst_rate ?? '' },
+  { key: 'note', header: 'Note', value: ({ item }) => item.note || '' }
+];
+
+// A refund as an order-shaped export row, with negative quantities and amounts
+function refundExportEntry(order, refund) {
+  const amount = -parseFloat(refund.amount);
+  return {
+    ...order,
+    entry: 'refund',
+    created_at: refund.created_at,
+    status: 'refunded',
+    payment_status: '',
+    payment_type: refund.payment_type,
+    items: (refund.items || []).map(line => ({ ...line, quantity: -line.quantity, amount: -line.amount })),
+    discounts: [],
+    totals: null,
+    total: amount,
+    amount_paid: amount,
+    paid_at: refund.created_at,
+    notes: refund.reason ? `${refund.reason_code}: ${refund.reason}` : refund.reason_code,
+    cancel_reason: ''
+  };
+}
+
+// Rows of one order, then of its refunds, for the chosen mode
+function exportRows(order, mode) {
+  const refunds = (order.refunds || []).map(refund => refundExportEntry(order, refund));
+  if (mode === 'orders') return [order, ...refunds];
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  const grossAmount = order.totals?.gross_amount;
+  const saleLines = items.map((item, index) => {
+    const gross = roundAmount((item.price || 0) * (item.quantity || 1));
+    const stored = order.totals?.line_discounts?.[index];
+    const discount = stored ?? (grossAmount ? roundAmount(gross * (order.totals.discount_total || 0) / grossAmount) : 0);
+    return { order, item, gross, discount };
+  });
+  // Amount-only refunds have no lines of their own
+  const refundLines = refunds.flatMap(entry => entry.items.length
+    ? entry.items.map(item => ({ order: entry, item, gross: item.amount, discount: 0 }))
+    : [{ order: entry, item: { name: 'Refund', quantity: null, price: null }, gross: entry.total, discount: 0 }]);
+  return [...saleLines, ...refundLines];
+}
+
+// Quote a CSV cell when needed, doubling embedded quotes. Text that a spreadsheet would run as a
+// formula is prefixed with a quote.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Orders matching parsed history filters, newest first, fetched a page at a time after the
+// (created_at, id) of the last order of the previous page
+async function* exportOrders(filters) {
+  for (let last = null; ;) {
+    let query = applyOrderHistoryFilters(
+      supabase
+        .from('orders')
+        .select(`${ORDER_FIELDS}, outlets(name), tables(number), refunds(${REFUND_FIELDS})`)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false }),
+      filters
+    );
+    if (last) query = applyHistoryCursor(query, 'created_at', false, [last.created_at, last.id]);
+    const { data, error } = await query.limit(EXPORT_PAGE_SIZE);
     if (error) throw error;
+    yield* data;
+    if (data.length < EXPORT_PAGE_SIZE) return;
+    last = data[data.length - 1];
+  }
+}
 
-    const csv = [
-      'Order Number,Table Number,Items,Status,Notes,Created At,Payment Method',
-      ...data.map(order =>
-        `"${order.order_number || order.id}","${order.tables?.number || 'N/A'}","${JSON.stringify(order.items || []).replace(/"/g, '""')}","${order.status || 'N/A'}","${order.notes || ''}","${order.created_at || ''}","${order.payment_type || ''}"`
-      ),
-    ].join('\n');
+// Export orders (admin). Takes the history filters plus ?format=csv|jsonl|xlsx and
+// ?mode=orders|items; rows are streamed as pages of orders arrive.
+app.get('/api/admin/orders/export', requireRole('admin'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  const mode = req.query.mode || 'orders';
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.log('GET /api/admin/orders/export - Invalid format');
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!EXPORT_MODES.includes(mode)) {
+    console.log('GET /api/admin/orders/export - Invalid mode');
+    return res.status(400).json({ error: `mode must be one of ${EXPORT_MODES.join(', ')}` });
+  }
 
-    res.header('Content-Type', 'text/csv');
-    res.attachment('orders.csv');
-    res.send(csv);
+  const columns = mode === 'orders' ? ORDER_EXPORT_COLUMNS : LINE_EXPORT_COLUMNS;
+  let orders;
+  let first;
+  try {
+    const filters = await parseOrderHistoryFilters(req.query, req.outletId);
+    if (filters.error) {
+      console.log('GET /api/admin/orders/export - Invalid filters:', filters.error);
+      return res.status(400).json({ error: filters.error });
+    }
+    // Fetch the first page before committing to a streamed 200 response
+    orders = exportOrders(filters.data);
+    first = await orders.next();
   } catch (error) {
     console.error('GET /api/admin/orders/export - Error:', error);
-    res.status(500).json({ error: `Failed to export orders: ${error.message}` });
+    return res.status(500).json({ error: `Failed to export orders: ${error.message}` });
+  }
+
+  const filename = `orders-${mode === 'items' ? 'items-' : ''}${cafeLocalTime().date}.${format}`;
+  res.attachment(filename);
+  try {
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(mode === 'orders' ? 'Orders' : 'Order lines');
+      sheet.columns = columns.map(column => ({ header: column.header, key: column.key }));
+      for (let next = first; !next.done; next = await orders.next()) {
+        // The client went away; stop fetching pages
+        if (res.destroyed) return;
+        exportRows(next.value, mode).forEach(row => {
+          sheet.addRow(Object.fromEntries(columns.map(column => [column.key, column.value(row)]))).commit();
+        });
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    async function* chunks() {
+      if (format === 'csv') yield `${columns.map(column => csvCell(column.header)).join(',')}\r\n`;
+      for (let next = first; !next.done; next = await orders.next()) {
+        const chunk = exportRows(next.value, mode).map(row => format === 'csv'
+          ? `${columns.map(column => csvCell(column.value(row))).join(',')}\r\n`
+          : `${JSON.stringify(Object.fromEntries(columns.map(column => [column.key, column.value(row)])))}\n`
+        ).join('');
+        if (chunk) yield chunk;
+      }
+    }
+    // pipeline waits for the client to take each chunk and stops fetching if it disconnects
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    // Headers are gone by now; cut the download short so the client sees it failed
+    console.error('GET /api/admin/orders/export - Error while streaming:', error);
+    res.destroy(error);
+  }
+});
+
+// Analytics dashboard: revenue, orders, average order value and items sold for a range of
+// local dates, with a day/week/month series, a weekday x hour heatmap and the same figures for
+// the preceding period of equal length. Aggregated in the database (analytics_dashboard).
+const ANALYTICS_GRANULARITIES = ['day', 'week', 'month'];
+const ANALYTICS_MAX_DAYS = 3 * 366;
+
+// Validate ?startDate=&endDate= (local YYYY-MM-DD dates, default the last 30 days) and ?timezone=
+// (default the café's). Returns { data: { startDate, endDate, timezone, days } } or { error }.
+function parseReportRange(query) {
+  const timezone = query.timezone || CAFE_TIMEZONE;
+  if (!isValidTimeZone(timezone)) return { error: 'timezone must be an IANA timezone such as Asia/Kolkata' };
+
+  const endDate = query.endDate || cafeLocalTime(new Date(), timezone).date;
+  const startDate = query.startDate || addDays(endDate, -29);
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  if (!isDate(startDate) || !isDate(endDate) || endDate < startDate) {
+    return { error: 'startDate and endDate must be YYYY-MM-DD dates, startDate first' };
+  }
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / 86400000 + 1;
+  if (days > ANALYTICS_MAX_DAYS) return { error: `The range can cover at most ${ANALYTICS_MAX_DAYS} days` };
+  return { data: { startDate, endDate, timezone, days } };
+}
+
+app.get('/api/admin/analytics/dashboard', requireRole('admin'), async (req, res) => {
+  const granularity = req.query.granularity || 'day';
+  const { data: range, error: rangeError } = parseReportRange(req.query);
+  if (rangeError) {
+    console.log('GET /api/admin/analytics/dashboard - Invalid range:', rangeError);
+    return res.status(400).json({ error: rangeError });
+  }
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    console.log('GET /api/admin/analytics/dashboard - Invalid granularity');
+    return res.status(400).json({ error: `granularity must be one of ${ANALYTICS_GRANULARITIES.join(', ')}` });
+  }
+  const { startDate, endDate, timezone, days } = range;
+
+  try {
+    const { data, error } = await supabase.rpc('analytics_dashboard', {
+      p_from: startDate,
+      p_to: endDate,
+      p_timezone: timezone,
+      p_granularity: granularity,
+      p_outlet_id: req.outletId
+    });
+    if (error) throw error;
+
+    const percentChange = (current, previous) =>
+      previous ? Math.round((current - previous) / previous * 1000) / 10 : null;
+    const heatmap = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ orders: 0, revenue: 0 })));
+    data.heatmap.forEach(cell => {
+      heatmap[cell.weekday][cell.hour] = { orders: cell.orders, revenue: cell.revenue };
+    });
+
+    res.json({
+      range: { startDate, endDate, timezone, granularity },
+      summary: data.summary,
+      previous: {
+        range: { startDate: addDays(startDate, -days), endDate: addDays(startDate, -1) },
+        summary: data.previous
+      },
+      change: Object.fromEntries(Object.keys(data.summary).map(key => [key, percentChange(data.summary[key], data.previous[key])])),
+      series: data.series,
+      heatmap: { weekdays: WEEKDAYS, hours: heatmap }
+    });
+  } catch (error) {
+    console.error('GET /api/admin/analytics/dashboard - Error:', error);
+    res.status(500).json({ error: `Failed to fetch dashboard: ${error.message}` });
+  }
+});
+
+// Sales report for a range of local dates: items (by item_id) and categories ranked by net sales
+// with quantity, gross, discounts and refunds; the payment-method mix; and the slowest-selling
+// menu items. Refunds come off on the day they were given, like the analytics. Aggregated in the
+// database (sales_report).
+app.get('/api/admin/reports/sales', requireRole('admin'), async (req, res) => {
+  const slowMovers = req.query.slowMovers === undefined ? 10 : parseInt(req.query.slowMovers);
+  const { data: range, error: rangeError } = parseReportRange(req.query);
+  if (rangeError) {
+    console.log('GET /api/admin/reports/sales - Invalid range:', rangeError);
+    return res.status(400).json({ error: rangeError });
+  }
+  const { startDate, endDate, timezone } = range;
+  if (!(slowMovers >= 0 && slowMovers <= 100)) {
+    console.log('GET /api/admin/reports/sales - Invalid slowMovers');
+    return res.status(400).json({ error: 'slowMovers must be between 0 and 100' });
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('sales_report', {
+      p_from: startDate,
+      p_to: endDate,
+      p_timezone: timezone,
+      p_slow_movers: slowMovers,
+      p_outlet_id: req.outletId
+    });
+    if (error) throw error;
+
+    const netTotal = data.items.reduce((sum, item) => sum + parseFloat(item.net), 0);
+    const paymentTotal = data.payment_methods.reduce((sum, method) => sum + parseFloat(method.amount), 0);
+    const share = (amount, total) => total ? Math.round(amount / total * 1000) / 10 : 0;
+    const gross = data.items.reduce((sum, item) => sum + parseFloat(item.gross), 0);
+    const discounts = data.items.reduce((sum, item) => sum + parseFloat(item.discounts), 0);
+    // Includes amount-only refunds, which are not tied to any item
+    const refunds = parseFloat(data.refunds) || 0;
+
+    res.json({
+      range: { startDate, endDate, timezone },
+      totals: {
+        quantity: data.items.reduce((sum, item) => sum + item.quantity, 0),
+        gross: roundAmount(gross),
+        discounts: roundAmount(discounts),
+        refunds: roundAmount(refunds),
+        net: roundAmount(gross - discounts - refunds)
+      },
+      items: data.items.map(item => ({ ...item, share: share(parseFloat(item.net), netTotal) })),
+      categories: data.categories.map(category => ({ ...category, share: share(parseFloat(category.net), netTotal) })),
+      payment_methods: data.payment_methods.map(method => ({ ...method, share: share(parseFloat(method.amount), paymentTotal) })),
+      slow_movers: data.slow_movers
+    });
+  } catch (error) {
+    console.error('GET /api/admin/reports/sales - Error:', error);
+    res.status(500).json({ error: `Failed to fetch sales report: ${error.message}` });
+  }
+});
+
+// Owner view for a range of local dates: revenue, orders, average order value, items sold and
+// refunds across all outlets and for each one, with its share of revenue. Aggregated in the
+// database (outlet_summary).
+app.get('/api/admin/analytics/outlets', requireRole('admin'), requireOwner, async (req, res) => {
+  const { data: range, error: rangeError } = parseReportRange(req.query);
+  if (rangeError) {
+    console.log('GET /api/admin/analytics/outlets - Invalid range:', rangeError);
+    return res.status(400).json({ error: rangeError });
+  }
+  const { startDate, endDate, timezone } = range;
+
+  try {
+    const { data, error } = await supabase.rpc('outlet_summary', {
+      p_from: startDate,
+      p_to: endDate,
+      p_timezone: timezone
+    });
+    if (error) throw error;
+
+    const totalRevenue = parseFloat(data.total.revenue);
+    res.json({
+      range: { startDate, endDate, timezone },
+      total: data.total,
+      outlets: data.outlets.map(outlet => ({
+        ...outlet,
+        share: totalRevenue ? Math.round(parseFloat(outlet.revenue) / totalRevenue * 1000) / 10 : 0
+      }))
+    });
+  } catch (error) {
+    console.error('GET /api/admin/analytics/outlets - Error:', error);
+    res.status(500).json({ error: `Failed to fetch outlet summary: ${error.message}` });
+  }
+});
+
+// Customer report for a range of local dates: identified customers and their share of paid
+// orders and revenue, new and repeat customers, how often customers came back and the top
+// customers by spend (?limit=, default 10). Aggregated in the database (customer_report).
+app.get('/api/admin/analytics/customers', requireRole('admin'), async (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit);
+  const { data: range, error: rangeError } = parseReportRange(req.query);
+  if (rangeError) {
+    console.log('GET /api/admin/analytics/customers - Invalid range:', rangeError);
+    return res.status(400).json({ error: rangeError });
+  }
+  const { startDate, endDate, timezone } = range;
+  if (!(limit >= 1 && limit <= 100)) {
+    console.log('GET /api/admin/analytics/customers - Invalid limit');
+    return res.status(400).json({ error: 'limit must be between 1 and 100' });
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('customer_report', {
+      p_from: startDate,
+      p_to: endDate,
+      p_timezone: timezone,
+      p_limit: limit,
+      p_outlet_id: req.outletId
+    });
+    if (error) throw error;
+
+    const share = (part, total) => total ? Math.round(part / total * 1000) / 10 : 0;
+    const { top_customers: topCustomers, visit_frequency: visitFrequency, ...summary } = data;
+    res.json({
+      range: { startDate, endDate, timezone },
+      summary: {
+        ...summary,
+        repeat_rate: share(summary.repeat_customers, summary.customers),
+        identified_order_share: share(summary.identified_orders, summary.orders),
+        identified_revenue_share: share(parseFloat(summary.identified_revenue), parseFloat(summary.revenue))
+      },
+      visit_frequency: visitFrequency,
+      top_customers: topCustomers
+    });
+  } catch (error) {
+    console.error('GET /api/admin/analytics/customers - Error:', error);
+    res.status(500).json({ error: `Failed to fetch customer report: ${error.message}` });
   }
 });
 
 // Analytics: Total Orders
-app.get('/api/admin/analytics/total-orders', async (req, res) => {
+app.get('/api/admin/analytics/total-orders', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
@@ -480,6 +7895,7 @@ app.get('/api/admin/analytics/total-orders', async (req, res) => {
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
     const { count, error } = await query;
     if (error) throw error;
@@ -492,20 +7908,29 @@ app.get('/api/admin/analytics/total-orders', async (req, res) => {
 });
 
 // Analytics: Total Revenue
-app.get('/api/admin/analytics/total-revenue', async (req, res) => {
+app.get('/api/admin/analytics/total-revenue', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
       .from('orders')
-      .select('items')
+      .select('items, discounts')
       .eq('status', 'paid');
 
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
-    const { data, error } = await query;
+    // Refunds count on the day they were given, whenever the order was
+    let refundsQuery = supabase.from('refunds').select('amount, orders!inner(outlet_id)');
+    if (startDate && endDate) {
+      refundsQuery = refundsQuery.gte('created_at', startDate).lte('created_at', endDate);
+    }
+    if (req.outletId) refundsQuery = refundsQuery.eq('orders.outlet_id', req.outletId);
+
+    const [{ data, error }, { data: refunds, error: refundsError }] = await Promise.all([query, refundsQuery]);
     if (error) throw error;
+    if (refundsError) throw refundsError;
 
     const totalRevenue = data.reduce((sum, order) => {
       if (!Array.isArray(order.items)) {
@@ -514,8 +7939,18 @@ app.get('/api/admin/analytics/total-revenue', async (req, res) => {
       }
       return sum + order.items.reduce((s, item) => s + (item.price || 0) * (item.quantity || 1), 0);
     }, 0);
+    const totalDiscounts = data.reduce(
+      (sum, order) => sum + (order.discounts || []).reduce((s, discount) => s + (discount.amount || 0), 0),
+      0
+    );
+    const totalRefunds = refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
 
-    res.json({ totalRevenue: totalRevenue || 0 });
+    res.json({
+      totalRevenue: totalRevenue || 0,
+      totalDiscounts: roundAmount(totalDiscounts),
+      totalRefunds: roundAmount(totalRefunds),
+      netRevenue: roundAmount(totalRevenue - totalDiscounts - totalRefunds)
+    });
   } catch (error) {
     console.error('GET /api/admin/analytics/total-revenue - Error:', error);
     res.status(500).json({ error: `Failed to fetch total revenue: ${error.message}` });
@@ -523,7 +7958,7 @@ app.get('/api/admin/analytics/total-revenue', async (req, res) => {
 });
 
 // Analytics: Most Sold Item
-app.get('/api/admin/analytics/most-sold-item', async (req, res) => {
+app.get('/api/admin/analytics/most-sold-item', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
@@ -534,6 +7969,7 @@ app.get('/api/admin/analytics/most-sold-item', async (req, res) => {
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -545,14 +7981,15 @@ app.get('/api/admin/analytics/most-sold-item', async (req, res) => {
         return;
       }
       order.items.forEach(item => {
-        const name = item.name || 'Unknown';
-        itemCounts[name] = (itemCounts[name] || 0) + (item.quantity || 1);
+        const key = item.item_id ?? item.name ?? 'Unknown';
+        const entry = itemCounts[key] || (itemCounts[key] = { item_id: item.item_id ?? null, name: item.name || 'Unknown', totalSold: 0 });
+        entry.totalSold += item.quantity || 1;
       });
     });
 
-    const mostSold = Object.entries(itemCounts).reduce(
-      (max, [name, totalSold]) => totalSold > (max.totalSold || 0) ? { name, totalSold } : max,
-      { name: 'N/A', totalSold: 0 }
+    const mostSold = Object.values(itemCounts).reduce(
+      (max, entry) => entry.totalSold > max.totalSold ? entry : max,
+      { item_id: null, name: 'N/A', totalSold: 0 }
     );
 
     res.json(mostSold);
@@ -562,8 +7999,95 @@ app.get('/api/admin/analytics/most-sold-item', async (req, res) => {
   }
 });
 
+// Analytics: Modifier Selections
+app.get('/api/admin/analytics/modifiers', requireRole('admin'), async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    let query = supabase
+      .from('orders')
+      .select('items')
+      .eq('status', 'paid');
+
+    if (startDate && endDate) {
+      query = query.gte('created_at', startDate).lte('created_at', endDate);
+    }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const selections = {};
+    data.forEach(order => {
+      if (!Array.isArray(order.items)) {
+        console.warn(`Order with invalid items: ${order.items}`);
+        return;
+      }
+      order.items.forEach(item => {
+        (item.modifiers || []).forEach(modifier => {
+          const key = modifier.option_id;
+          const entry = selections[key] || (selections[key] = {
+            option_id: modifier.option_id,
+            group: modifier.group,
+            name: modifier.name,
+            timesSelected: 0,
+            revenue: 0
+          });
+          entry.timesSelected += item.quantity || 1;
+          entry.revenue += (modifier.price_delta || 0) * (item.quantity || 1);
+        });
+      });
+    });
+
+    res.json(Object.values(selections).sort((a, b) => b.timesSelected - a.timesSelected));
+  } catch (error) {
+    console.error('GET /api/admin/analytics/modifiers - Error:', error);
+    res.status(500).json({ error: `Failed to fetch modifier analytics: ${error.message}` });
+  }
+});
+
+// Analytics: Discounts given, one line per rule / coupon / manual discount
+app.get('/api/admin/analytics/discounts', requireRole('admin'), async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    let query = supabase
+      .from('orders')
+      .select('discounts')
+      .eq('status', 'paid');
+
+    if (startDate && endDate) {
+      query = query.gte('created_at', startDate).lte('created_at', endDate);
+    }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const lines = {};
+    data.forEach(order => {
+      (order.discounts || []).forEach(discount => {
+        const key = discount.rule_id ? `rule-${discount.rule_id}` : `${discount.source}-${discount.name}`;
+        const entry = lines[key] || (lines[key] = {
+          rule_id: discount.rule_id || null,
+          name: discount.name,
+          source: discount.source,
+          code: discount.code || null,
+          timesApplied: 0,
+          amount: 0
+        });
+        entry.timesApplied += 1;
+        entry.amount = roundAmount(entry.amount + (discount.amount || 0));
+      });
+    });
+
+    res.json(Object.values(lines).sort((a, b) => b.amount - a.amount));
+  } catch (error) {
+    console.error('GET /api/admin/analytics/discounts - Error:', error);
+    res.status(500).json({ error: `Failed to fetch discount analytics: ${error.message}` });
+  }
+});
+
 // Analytics: Peak Hours
-app.get('/api/admin/analytics/peak-hours', async (req, res) => {
+app.get('/api/admin/analytics/peak-hours', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
@@ -574,6 +8098,7 @@ app.get('/api/admin/analytics/peak-hours', async (req, res) => {
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -581,7 +8106,7 @@ app.get('/api/admin/analytics/peak-hours', async (req, res) => {
     const ordersByHour = Array(24).fill(0);
     data.forEach(order => {
       if (!order.created_at) return;
-      const hour = new Date(order.created_at).getHours();
+      const hour = Math.floor(cafeLocalTime(parseDbTimestamp(order.created_at)).minutes / 60);
       ordersByHour[hour]++;
     });
 
@@ -596,7 +8121,7 @@ app.get('/api/admin/analytics/peak-hours', async (req, res) => {
 });
 
 // Analytics: Average Order Value
-app.get('/api/admin/analytics/average-order-value', async (req, res) => {
+app.get('/api/admin/analytics/average-order-value', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
@@ -607,6 +8132,7 @@ app.get('/api/admin/analytics/average-order-value', async (req, res) => {
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -630,7 +8156,7 @@ app.get('/api/admin/analytics/average-order-value', async (req, res) => {
 });
 
 // Analytics: Total Items Sold
-app.get('/api/admin/analytics/total-items-sold', async (req, res) => {
+app.get('/api/admin/analytics/total-items-sold', requireRole('admin'), async (req, res) => {
   const { startDate, endDate } = req.query;
   try {
     let query = supabase
@@ -641,6 +8167,7 @@ app.get('/api/admin/analytics/total-items-sold', async (req, res) => {
     if (startDate && endDate) {
       query = query.gte('created_at', startDate).lte('created_at', endDate);
     }
+    if (req.outletId) query = query.eq('outlet_id', req.outletId);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -660,9 +8187,52 @@ app.get('/api/admin/analytics/total-items-sold', async (req, res) => {
   }
 });
 
+// Analytics: Service request response times. Response is raised -> acknowledged, resolution is
+// raised -> resolved; both are averages in seconds, overall and per request type.
+app.get('/api/admin/analytics/service-requests', requireRole('admin'), async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    let query = supabase
+      .from('service_requests')
+      .select('type, created_at, acknowledged_at, resolved_at, tables!inner(outlet_id)');
+
+    if (startDate && endDate) {
+      query = query.gte('created_at', startDate).lte('created_at', endDate);
+    }
+    if (req.outletId) query = query.eq('tables.outlet_id', req.outletId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const seconds = (from, to) => (parseDbTimestamp(to) - parseDbTimestamp(from)) / 1000;
+    const average = values => values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    const summarize = requests => ({
+      requests: requests.length,
+      unresolved: requests.filter(request => !request.resolved_at).length,
+      avg_response_seconds: average(requests
+        .filter(request => request.acknowledged_at)
+        .map(request => seconds(request.created_at, request.acknowledged_at))),
+      avg_resolution_seconds: average(requests
+        .filter(request => request.resolved_at)
+        .map(request => seconds(request.created_at, request.resolved_at)))
+    });
+
+    res.json({
+      ...summarize(data),
+      by_type: SERVICE_REQUEST_TYPES.map(type => ({ type, ...summarize(data.filter(request => request.type === type)) }))
+    });
+  } catch (error) {
+    console.error('GET /api/admin/analytics/service-requests - Error:', error);
+    res.status(500).json({ error: `Failed to fetch service request analytics: ${error.message}` });
+  }
+});
+
 // Start server
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
+
+  // Each run also requeues jobs a stopped process left mid-print
+  setInterval(processPrintQueue, PRINT_QUEUE_INTERVAL_MS);
 });
 
 //redeploy trigger
\ No newline at end of file